@@ -6,8 +6,18 @@ class TaskTerminalApp {
     constructor() {
         this.taskManager = new TaskManager();
         this.commandParser = new CommandParser(this.taskManager);
+        this.csvFormat = new CsvFormat({
+            parseDate: text => this.taskManager.parseDate(text),
+            normalizeStatus: value => this.commandParser.normalizeStatus(value),
+            normalizePriority: value => this.commandParser.normalizePriority(value),
+            generateUuid: () => this.taskManager.generateUuid()
+        });
         this.currentFilters = null;
+        this.currentFilterExpression = null;
         this.currentSort = null;
+        this.activeView = null; // Name of the saved view currently applied
+        this.showWaiting = false; // :waiting lists only tasks hidden by a future wait date
+        this.projectReport = null; // Rows of the :projects report while it is shown
         this.isInitialized = false;
 
         // Navigation state
@@ -22,6 +32,11 @@ class TaskTerminalApp {
         this.notificationPermission = 'default';
         this.notifiedTaskIds = new Set(); // Track which tasks we've already notified about
         this.notificationCheckInterval = null;
+        this.expiryCheckInterval = null;
+
+        // Time tracking: task with the running timer (refreshed on render) and the header clock tick
+        this.activeTimerTask = null;
+        this.timerClockInterval = null;
 
         this.init();
     }
@@ -38,8 +53,16 @@ class TaskTerminalApp {
             this.initializeUI();
             this.attachEventListeners();
 
+            // Apply the default saved view, if one is set
+            await this.applyDefaultView();
+
+            // Trash tasks whose until date passed while the app was closed, then keep checking
+            await this.expireTasks(false);
+            this.expiryCheckInterval = setInterval(() => this.expireTasks(), 60000);
+
             // Initial render
             await this.render();
+            this.timerClockInterval = setInterval(() => this.updateTimerClock(), 1000);
 
             // Initialize notifications
             await this.initNotifications();
@@ -66,6 +89,8 @@ class TaskTerminalApp {
         this.modalBody = document.getElementById('modalBody');
         this.modalSubmit = document.getElementById('modalSubmit');
         this.modalCancel = document.getElementById('modalCancel');
+        this.activeViewIndicator = document.getElementById('activeViewIndicator');
+        this.activeTimerClock = document.getElementById('activeTimerClock');
 
         // Mobile elements
         this.fabAddTask = document.getElementById('fabAddTask');
@@ -86,23 +111,41 @@ class TaskTerminalApp {
 
         // Available commands for auto-completion
         this.availableCommands = [
-            { cmd: 'add', aliases: ['a'], desc: 'Add a new task' },
-            { cmd: 'modify', aliases: ['m'], desc: 'Modify task by ID (e.g., :m 1)' },
+            { cmd: 'add', aliases: ['a'], desc: 'Add a new task (e.g., :A Call Bob pri:h due:tomorrow +phone)' },
+            { cmd: 'modify', aliases: ['m'], desc: 'Modify task by ID (e.g., :m 1, :m[1,2,5] status:c pri:h)' },
             { cmd: 'delete', aliases: ['d'], desc: 'Delete task by ID (e.g., :d 1)' },
-            { cmd: 'filter', aliases: ['f'], desc: 'Filter tasks (e.g., :filter status:in-progress)' },
+            { cmd: 'filter', aliases: ['f'], desc: 'Filter tasks (e.g., :filter priority=High or priority=Critical)' },
             { cmd: 'filter_status', aliases: [], desc: 'Filter by status' },
             { cmd: 'filter_priority', aliases: [], desc: 'Filter by priority' },
             { cmd: 'filter_project', aliases: [], desc: 'Filter by project' },
-            { cmd: 'sort', aliases: ['s'], desc: 'Sort tasks by priority' },
+            { cmd: 'filter_tag', aliases: [], desc: 'Filter by tag (e.g., :Filter_Tag="urgent")' },
+            { cmd: 'filter_due', aliases: [], desc: 'Filter by due date (e.g., :Filter_Due<tomorrow, :Filter_Due=none)' },
+            { cmd: 'overdue', aliases: [], desc: 'Show overdue tasks' },
+            { cmd: 'waiting', aliases: [], desc: 'Show tasks hidden until their wait date' },
+            { cmd: 'next', aliases: [], desc: 'Show the most urgent actionable tasks (e.g., :next 5)' },
+            { cmd: 'projects', aliases: [], desc: 'Project report: status counts, % complete, overdue, next due, most urgent' },
+            { cmd: 'due', aliases: [], desc: 'Show tasks due (e.g., :due week, :due today, :due <+3d)' },
+            { cmd: 'sort', aliases: ['s'], desc: 'Sort tasks (e.g., :sort due, :sort -id, :sort project,priority,due)' },
+            { cmd: 'view', aliases: ['views'], desc: 'Saved views (e.g., :view save work, :view work, :view list, :view delete work)' },
+            { cmd: 'undo', aliases: [], desc: 'Undo actions (e.g., :undo, :undo 5)' },
+            { cmd: 'redo', aliases: [], desc: 'Redo undone actions (e.g., :redo 2)' },
+            { cmd: 'history', aliases: [], desc: 'Show undo history (:history depth 50 to keep more)' },
+            { cmd: 'log', aliases: [], desc: 'Show the change history of a task (e.g., :log 12)' },
+            { cmd: 'start', aliases: [], desc: 'Start the timer on a task (e.g., :start 12)' },
+            { cmd: 'stop', aliases: [], desc: 'Stop the running timer' },
+            { cmd: 'set', aliases: ['settings'], desc: 'Show or change settings (e.g., :set timezone Europe/London, :set locale en-GB)' },
             { cmd: 'clear', aliases: ['c'], desc: 'Clear filters, show all tasks' },
             { cmd: 'search', aliases: ['query', '?'], desc: 'Search tasks' },
             { cmd: 'help', aliases: ['h'], desc: 'Show help' },
-            { cmd: 'export', aliases: [], desc: 'Export tasks as JSON' },
+            { cmd: 'export', aliases: [], desc: 'Export tasks as JSON (:export taskwarrior, :export todotxt)' },
             { cmd: 'csv', aliases: [], desc: 'Export tasks as CSV' },
-            { cmd: 'import', aliases: [], desc: 'Import tasks from JSON' },
+            { cmd: 'import', aliases: [], desc: 'Import tasks from JSON (:import merge keeps existing tasks, :import taskwarrior, :import todotxt, :import csv)' },
             { cmd: 'trash', aliases: [], desc: 'View deleted tasks' },
             { cmd: 'restore', aliases: [], desc: 'Restore deleted task (e.g., :restore 1)' },
             { cmd: 'purge', aliases: [], desc: 'Permanently delete from trash' },
+            { cmd: 'depends', aliases: ['dep'], desc: 'Add dependency (e.g., :depends 5 on 3)' },
+            { cmd: 'undepend', aliases: ['undep'], desc: 'Remove dependency (e.g., :undepend 5 on 3)' },
+            { cmd: 'recur', aliases: [], desc: 'Set recurrence (e.g., :recur 5 weekly, :recur 5 none)' },
             { cmd: 'privacy', aliases: [], desc: 'Show privacy information' },
         ];
     }
@@ -213,6 +256,10 @@ class TaskTerminalApp {
             return;
         }
 
+        if (this.handleProjectReportKeydown(e)) {
+            return;
+        }
+
         // Arrow key navigation
         if (e.key === 'ArrowUp') {
             e.preventDefault();
@@ -250,6 +297,9 @@ class TaskTerminalApp {
             } else if (e.key === 'f' || e.key === 'F') {
                 e.preventDefault();
                 this.toggleSelectedTaskFold();
+            } else if (e.key === 's' || e.key === 'S') {
+                e.preventDefault();
+                this.toggleSelectedTaskTimer();
             }
         }
     }
@@ -291,10 +341,31 @@ class TaskTerminalApp {
         const command = this.commandInput.value;
         const result = await this.commandParser.execute(command);
 
+        await this.handleCommandResult(result);
+
+        // Clear input and return to navigation mode for non-modal commands
+        const modalActions = ['prompt_add', 'prompt_modify', 'prompt_delete', 'prompt_bulk_delete', 'show_help', 'show_privacy', 'show_search'];
+        if (!modalActions.includes(result.action)) {
+            this.exitCommandMode();
+        } else {
+            this.commandInput.value = '';
+            this.commandParser.resetHistoryIndex();
+        }
+    }
+
+    /**
+     * Perform the UI side of a parsed command result
+     * (shared by the command bar and the command modal)
+     */
+    async handleCommandResult(result) {
         if (result.success) {
             // Handle action
             if (result.action === 'prompt_add') {
                 this.showAddTaskModal();
+            } else if (result.action === 'create_task') {
+                await this.createTaskInline(result.data.taskData);
+            } else if (result.action === 'bulk_modify') {
+                await this.bulkModifyTasks(result.data.taskIds, result.data.updates, result.data.tagModifiers);
             } else if (result.action === 'prompt_modify') {
                 this.showModifyTaskModal(result.data.task);
             } else if (result.action === 'prompt_delete') {
@@ -303,18 +374,72 @@ class TaskTerminalApp {
                 this.showBulkDeleteConfirmation(result.data.tasks, result.data.notFound);
             } else if (result.action === 'filter') {
                 this.currentFilters = result.data.filters;
-                this.currentSort = null;
+                this.currentFilterExpression = result.data.expression;
+                this.setActiveView(null);
                 await this.render();
-                this.showMessage('Filter applied', 'success');
+                this.showMessage(`Filter applied: ${result.data.expression}`, 'success');
             } else if (result.action === 'sort') {
                 this.currentSort = result.data.sortBy;
+                this.setActiveView(null);
                 await this.render();
-                this.showMessage('Tasks sorted by priority', 'success');
+                this.showMessage(`Tasks sorted by ${this.formatSortDescription(this.currentSort)}`, 'success');
+            } else if (result.action === 'start_timer') {
+                await this.startTimer(result.data.taskId);
+            } else if (result.action === 'stop_timer') {
+                await this.stopTimer();
+            } else if (result.action === 'show_projects') {
+                await this.showProjects();
+            } else if (result.action === 'show_next') {
+                await this.showNext(result.data.limit);
+            } else if (result.action === 'show_waiting') {
+                this.showWaiting = true;
+                await this.render();
+                this.showMessage('Showing waiting tasks (:clear to return)', 'info');
             } else if (result.action === 'clear') {
                 this.currentFilters = null;
+                this.currentFilterExpression = null;
                 this.currentSort = null;
+                this.showWaiting = false;
+                this.setActiveView(null);
                 await this.render();
                 this.showMessage('Filters cleared, showing all tasks', 'info');
+            } else if (result.action === 'save_view') {
+                await this.saveView(result.data.name);
+            } else if (result.action === 'apply_view') {
+                try {
+                    await this.applyView(result.data.view);
+                    this.showMessage(`View "${result.data.view.name}" applied`, 'success');
+                } catch (error) {
+                    this.showMessage(`Cannot apply view "${result.data.view.name}": ${error.message}`, 'error');
+                }
+            } else if (result.action === 'list_views') {
+                await this.listViews();
+            } else if (result.action === 'delete_view') {
+                await this.deleteView(result.data.name);
+            } else if (result.action === 'set_default_view') {
+                await this.setDefaultView(result.data.name);
+            } else if (result.action === 'undo') {
+                await this.undoAction(result.data.count);
+            } else if (result.action === 'redo') {
+                await this.redoAction(result.data.count);
+            } else if (result.action === 'show_history') {
+                this.showHistory();
+            } else if (result.action === 'show_log') {
+                await this.showTaskLog(result.data.taskId);
+            } else if (result.action === 'show_settings') {
+                this.showSettings();
+            } else if (result.action === 'update_settings') {
+                await this.updateSettings(result.data.changes);
+            } else if (result.action === 'set_history_depth') {
+                try {
+                    const depth = await this.taskManager.setHistoryDepth(result.data.depth);
+                    this.showMessage(`Undo history depth set to ${depth}`, 'success');
+                } catch (error) {
+                    this.showMessage(error.message, 'error');
+                }
+            } else if (result.action === 'clear_history') {
+                await this.taskManager.clearHistory();
+                this.showMessage('Undo history cleared', 'success');
             } else if (result.action === 'show_help') {
                 this.showHelp();
             } else if (result.action === 'show_privacy') {
@@ -322,11 +447,11 @@ class TaskTerminalApp {
             } else if (result.action === 'show_search') {
                 await this.showSearch();
             } else if (result.action === 'export_data') {
-                await this.exportData();
+                await this.exportData(result.data.format);
             } else if (result.action === 'export_csv') {
                 await this.exportCSV();
             } else if (result.action === 'import_data') {
-                this.importData();
+                this.importData(result.data.mode, result.data.format);
             } else if (result.action === 'show_trash') {
                 await this.showTrash();
             } else if (result.action === 'restore_task') {
@@ -335,21 +460,18 @@ class TaskTerminalApp {
                 await this.purgeTask(result.data.taskId);
             } else if (result.action === 'purge_all') {
                 await this.purgeAll();
+            } else if (result.action === 'add_dependency') {
+                await this.addDependencies(result.data.taskId, result.data.prerequisiteIds);
+            } else if (result.action === 'remove_dependency') {
+                await this.removeDependencies(result.data.taskId, result.data.prerequisiteIds);
+            } else if (result.action === 'set_recurrence') {
+                await this.setRecurrence(result.data.taskId, result.data.rule, result.data.until);
             } else if (result.message) {
                 this.showMessage(result.message, 'info');
             }
         } else {
             this.showMessage(result.message, 'error');
         }
-
-        // Clear input and return to navigation mode for non-modal commands
-        const modalActions = ['prompt_add', 'prompt_modify', 'prompt_delete', 'prompt_bulk_delete', 'show_help', 'show_privacy', 'show_search'];
-        if (!modalActions.includes(result.action)) {
-            this.exitCommandMode();
-        } else {
-            this.commandInput.value = '';
-            this.commandParser.resetHistoryIndex();
-        }
     }
 
     /**
@@ -422,8 +544,9 @@ class TaskTerminalApp {
                     <span id="addTaskDueDateDisplay">Click to select date</span>
                 </button>
                 <input type="hidden" id="taskDueDate" value="">
-                <span class="form-hint">Click to open calendar picker</span>
+                ${this.buildDueDateTextHtml()}
             </div>
+            ${this.buildScheduleFieldsHtml({})}
             <div class="form-field">
                 <label class="form-label">Status</label>
                 <select id="taskStatus" class="form-select">
@@ -435,8 +558,9 @@ class TaskTerminalApp {
             </div>
             <div class="form-field">
                 <label class="form-label">Project</label>
-                <input type="text" id="taskProject" class="form-input" placeholder="Project name">
+                ${this.buildProjectInputHtml('')}
             </div>
+            ${this.buildTagEditorHtml([])}
             <div class="form-field">
                 <label class="form-label">Priority</label>
                 <select id="taskPriority" class="form-select">
@@ -446,6 +570,10 @@ class TaskTerminalApp {
                     <option value="Critical">Critical</option>
                 </select>
             </div>
+            <div class="form-field">
+                <label class="form-label">Estimate</label>
+                <input type="text" id="taskEstimate" class="form-input" placeholder="e.g. 90m, 2h, 3d, 1w or 5pt" value="" autocomplete="off" spellcheck="false">
+            </div>
             <div class="form-field">
                 <label class="form-label">Notes</label>
                 <textarea id="taskNotes" class="form-textarea" placeholder="Optional notes"></textarea>
@@ -464,6 +592,7 @@ class TaskTerminalApp {
                 this.showModalCalendar('taskDueDate', 'addTaskDueDateDisplay');
             });
         }
+        this.setupDueDateText('addTaskDueDateDisplay');
 
         // Set up parent task toggle and search if available
         if (hasAvailableParents) {
@@ -499,6 +628,9 @@ class TaskTerminalApp {
             });
         }
 
+        this.setupTagEditor();
+        await this.setupProjectAutocomplete();
+
         // Focus on name input
         document.getElementById('taskName').focus();
     }
@@ -510,14 +642,7 @@ class TaskTerminalApp {
         this.modalHeader.textContent = `Modify Task #${task.id}`;
 
         const dueDateDisplay = task.dueDate
-            ? new Date(task.dueDate).toLocaleString('en-AU', {
-                timeZone: 'Australia/Sydney',
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-            })
+            ? this.taskManager.dates.formatDateTime(task.dueDate)
             : 'Click to select date';
 
         // Get all tasks to check if parent field should be shown
@@ -634,7 +759,17 @@ class TaskTerminalApp {
             parentFieldHtml = '<input type="hidden" id="taskParent" value="">';
         }
 
+        const changelog = await this.taskManager.getTaskChangelog(task.id);
+
         const formHtml = `
+            <div class="modal-tabs">
+                <button type="button" class="modal-tab active" data-tab="modifyTabDetails">Details</button>
+                <button type="button" class="modal-tab" data-tab="modifyTabHistory">History (${changelog.length})</button>
+            </div>
+            <div id="modifyTabHistory" class="modal-tab-panel hidden">
+                ${this.buildChangelogHtml(changelog)}
+            </div>
+            <div id="modifyTabDetails" class="modal-tab-panel">
             <div class="form-field">
                 <label class="form-label">Name *</label>
                 <input type="text" id="taskName" class="form-input" value="${this.escapeHtml(task.name)}" required>
@@ -646,8 +781,9 @@ class TaskTerminalApp {
                     <span id="modifyTaskDueDateDisplay">${dueDateDisplay}</span>
                 </button>
                 <input type="hidden" id="taskDueDate" value="${task.dueDate || ''}">
-                <span class="form-hint">Click to open calendar picker</span>
+                ${this.buildDueDateTextHtml()}
             </div>
+            ${this.buildScheduleFieldsHtml(task)}
             <div class="form-field">
                 <label class="form-label">Status</label>
                 <select id="taskStatus" class="form-select">
@@ -659,8 +795,9 @@ class TaskTerminalApp {
             </div>
             <div class="form-field">
                 <label class="form-label">Project</label>
-                <input type="text" id="taskProject" class="form-input" value="${this.escapeHtml(task.project || '')}">
+                ${this.buildProjectInputHtml(task.project || '')}
             </div>
+            ${this.buildTagEditorHtml(task.tags || [])}
             <div class="form-field">
                 <label class="form-label">Priority</label>
                 <select id="taskPriority" class="form-select">
@@ -670,10 +807,15 @@ class TaskTerminalApp {
                     <option value="Critical" ${task.priority === 'Critical' ? 'selected' : ''}>Critical</option>
                 </select>
             </div>
+            <div class="form-field">
+                <label class="form-label">Estimate</label>
+                <input type="text" id="taskEstimate" class="form-input" placeholder="e.g. 90m, 2h, 3d, 1w or 5pt" value="${this.escapeHtml(this.taskManager.formatEstimate(task.estimate))}" autocomplete="off" spellcheck="false">
+            </div>
             <div class="form-field">
                 <label class="form-label">Add Note</label>
                 <textarea id="taskNotes" class="form-textarea" placeholder="Add a new note (existing notes preserved)"></textarea>
             </div>
+            </div>
         `;
 
         this.modalBody.innerHTML = formHtml;
@@ -681,6 +823,16 @@ class TaskTerminalApp {
         this.modalBody.dataset.action = 'modify';
         this.showModal();
 
+        // Details/History tabs
+        this.modalBody.querySelectorAll('.modal-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.modalBody.querySelectorAll('.modal-tab').forEach(t => {
+                    t.classList.toggle('active', t === tab);
+                    document.getElementById(t.dataset.tab).classList.toggle('hidden', t !== tab);
+                });
+            });
+        });
+
         // Attach calendar widget to date button
         const dueDateButton = document.getElementById('modifyTaskDueDateButton');
         if (dueDateButton) {
@@ -690,6 +842,7 @@ class TaskTerminalApp {
                 this.showModalCalendar('taskDueDate', 'modifyTaskDueDateDisplay');
             });
         }
+        this.setupDueDateText('modifyTaskDueDateDisplay');
 
         // Set up parent task toggle and search if available
         if (hasAvailableParents) {
@@ -744,9 +897,343 @@ class TaskTerminalApp {
             }
         }
 
+        this.setupTagEditor();
+        await this.setupProjectAutocomplete();
+
         document.getElementById('taskName').focus();
     }
 
+    /**
+     * Icons for a task's scheduled (◷), wait (⏸) and until (⌛) dates, with the date as a tooltip
+     */
+    getDateIndicators(task) {
+        const dates = this.taskManager.dates;
+        let html = '';
+
+        if (task.scheduled) {
+            html += `<span class="date-indicator" title="Scheduled ${this.escapeHtml(dates.formatDateTime(task.scheduled))}">◷</span>`;
+        }
+        if (this.taskManager.isTaskWaiting(task)) {
+            html += `<span class="date-indicator" title="Waiting until ${this.escapeHtml(dates.formatDateTime(task.wait))}">⏸</span>`;
+        }
+        if (task.until && !task.recur) {
+            html += `<span class="date-indicator" title="Expires ${this.escapeHtml(dates.formatDateTime(task.until))}">⌛</span>`;
+        }
+
+        return html;
+    }
+
+    /**
+     * Build the scheduled / wait / until inputs used by the add/modify modals
+     */
+    buildScheduleFieldsHtml(task) {
+        const input = (id, field, placeholder) => {
+            const value = task[field] || '';
+            const text = value ? this.taskManager.dates.formatInput(value) : '';
+            return `<input type="text" id="${id}" class="form-input" placeholder="${placeholder}" value="${text}" data-text="${text}" data-value="${value}" autocomplete="off" spellcheck="false">`;
+        };
+
+        return `
+            <div class="form-field">
+                <label class="form-label">Scheduled / Wait / Until</label>
+                <div class="form-date-row">
+                    ${input('taskScheduled', 'scheduled', 'scheduled (start)')}
+                    ${input('taskWait', 'wait', 'wait (hide until)')}
+                    ${input('taskUntil', 'until', 'until (expires)')}
+                </div>
+                <span class="form-hint">Any due date format (mon 9am, +2w, 2026-11-03). Waiting tasks are hidden until then; tasks past until go to the trash.</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Read the scheduled / wait / until inputs as ISO strings (null when blank)
+     */
+    readScheduleFields() {
+        const read = (id, label) => {
+            const input = document.getElementById(id);
+            const text = input ? input.value.trim() : '';
+            if (!text) return null;
+            // Unchanged values keep their exact original timestamp
+            if (text === input.dataset.text) return input.dataset.value;
+            try {
+                return this.taskManager.parseDate(text).toISOString();
+            } catch (error) {
+                throw new Error(`${label}: ${error.message}`);
+            }
+        };
+
+        return {
+            scheduled: read('taskScheduled', 'Scheduled'),
+            wait: read('taskWait', 'Wait'),
+            until: read('taskUntil', 'Until')
+        };
+    }
+
+    /**
+     * Build the typed due date input and preview used by the add/modify modals
+     */
+    buildDueDateTextHtml() {
+        return `
+                <input type="text" id="taskDueDateText" class="form-input form-date-text" placeholder="or type: next fri 5pm, eow, +3d, in 2 weeks, 2026-W45" autocomplete="off" spellcheck="false">
+                <span class="form-hint" id="taskDueDatePreview">Click to open calendar picker, or type a date</span>
+        `;
+    }
+
+    /**
+     * Parse the typed due date as the user types, showing the resolved timestamp before saving
+     */
+    setupDueDateText(displaySpanId) {
+        const textInput = document.getElementById('taskDueDateText');
+        const hiddenInput = document.getElementById('taskDueDate');
+        const displaySpan = document.getElementById(displaySpanId);
+        const preview = document.getElementById('taskDueDatePreview');
+        if (!textInput || !hiddenInput || !preview) return;
+
+        const defaultHint = preview.textContent;
+
+        textInput.addEventListener('input', () => {
+            const text = textInput.value.trim();
+            preview.classList.remove('form-hint-error', 'form-hint-preview');
+
+            if (!text) {
+                // Back to whatever the calendar (or the task) had before typing
+                if (textInput.dataset.baseline) {
+                    const baseline = JSON.parse(textInput.dataset.baseline);
+                    hiddenInput.value = baseline.value;
+                    if (displaySpan) displaySpan.textContent = baseline.display;
+                    delete textInput.dataset.baseline;
+                }
+                preview.textContent = defaultHint;
+                return;
+            }
+
+            if (!textInput.dataset.baseline) {
+                textInput.dataset.baseline = JSON.stringify({
+                    value: hiddenInput.value,
+                    display: displaySpan ? displaySpan.textContent : ''
+                });
+            }
+
+            try {
+                const date = this.taskManager.parseDate(text);
+                hiddenInput.value = date.toISOString();
+                if (displaySpan) displaySpan.textContent = this.taskManager.dates.formatDateTime(date);
+                preview.textContent = `→ ${this.taskManager.dates.formatPreview(date)}`;
+                preview.classList.add('form-hint-preview');
+            } catch (error) {
+                preview.textContent = error.message;
+                preview.classList.add('form-hint-error');
+            }
+        });
+    }
+
+    /**
+     * Read the modal's due date, rejecting typed text that doesn't parse
+     */
+    readDueDateInput() {
+        const textInput = document.getElementById('taskDueDateText');
+        if (textInput && textInput.value.trim()) {
+            return this.taskManager.parseDate(textInput.value).toISOString();
+        }
+        return document.getElementById('taskDueDate').value.trim();
+    }
+
+    /**
+     * Reset the typed due date after the calendar picker sets the date
+     */
+    clearDueDateText() {
+        const textInput = document.getElementById('taskDueDateText');
+        const preview = document.getElementById('taskDueDatePreview');
+        if (textInput) {
+            textInput.value = '';
+            delete textInput.dataset.baseline;
+        }
+        if (preview) {
+            preview.classList.remove('form-hint-error', 'form-hint-preview');
+            preview.textContent = 'Click to open calendar picker, or type a date';
+        }
+    }
+
+    /**
+     * Build the tag editor field used by the add/modify modals
+     */
+    buildTagEditorHtml(tags) {
+        return `
+            <div class="form-field">
+                <label class="form-label">Tags</label>
+                <div class="tag-editor" id="tagEditor">
+                    <span id="tagEditorChips"></span>
+                    <input type="text" id="taskTagInput" class="tag-editor-input" placeholder="+tag -tag" autocomplete="off" spellcheck="false">
+                </div>
+                <input type="hidden" id="taskTags" value="${this.escapeHtml(tags.join(' '))}">
+                <span class="form-hint">Type +tag to add, -tag to remove (Space or Enter to apply). Click × to remove.</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Build the project input with its autocomplete list
+     */
+    buildProjectInputHtml(project) {
+        return `
+                <div class="project-autocomplete">
+                    <input type="text" id="taskProject" class="form-input" placeholder="Project, e.g. Client.Website.Backend" value="${this.escapeHtml(project)}" autocomplete="off" spellcheck="false">
+                    <div class="project-suggestions hidden" id="taskProjectSuggestions"></div>
+                </div>
+                <span class="form-hint">Use dots for subprojects. ↑/↓ and Tab or Enter pick a suggestion.</span>
+        `;
+    }
+
+    /**
+     * Suggest existing project paths (and their parents) while typing in the project input
+     */
+    async setupProjectAutocomplete() {
+        const input = document.getElementById('taskProject');
+        const list = document.getElementById('taskProjectSuggestions');
+        if (!input || !list) return;
+
+        const paths = this.taskManager.getProjectPaths(await this.taskManager.getAllTasks());
+        let matches = [];
+        let selected = -1;
+
+        const close = () => {
+            matches = [];
+            selected = -1;
+            list.classList.add('hidden');
+        };
+
+        const show = () => {
+            const text = input.value.trim().toLowerCase();
+            // Match the whole path from the start, or any segment ("web" finds Client.Website)
+            matches = paths.filter(path => {
+                const lower = path.toLowerCase();
+                return lower !== text && (lower.startsWith(text) || lower.includes(`.${text}`));
+            }).slice(0, 8);
+            selected = -1;
+
+            if (text === '' || matches.length === 0) {
+                close();
+                return;
+            }
+
+            list.innerHTML = matches.map((path, index) =>
+                `<div class="project-suggestion" data-index="${index}">${this.escapeHtml(path)}</div>`
+            ).join('');
+            list.classList.remove('hidden');
+
+            list.querySelectorAll('.project-suggestion').forEach(el => {
+                el.addEventListener('mousedown', (e) => {
+                    e.preventDefault(); // Keep focus in the input
+                    input.value = matches[parseInt(el.dataset.index)];
+                    close();
+                });
+            });
+        };
+
+        const highlight = () => {
+            list.querySelectorAll('.project-suggestion').forEach((el, index) => {
+                el.classList.toggle('selected', index === selected);
+            });
+        };
+
+        input.addEventListener('input', show);
+        input.addEventListener('blur', close);
+        input.addEventListener('keydown', (e) => {
+            if (matches.length === 0) return;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                selected = (selected + step + matches.length) % matches.length;
+                highlight();
+            } else if ((e.key === 'Enter' || e.key === 'Tab') && selected >= 0) {
+                // Accept the suggestion instead of submitting the form or moving focus
+                e.preventDefault();
+                e.stopPropagation();
+                input.value = matches[selected];
+                close();
+            } else if (e.key === 'Escape') {
+                // Close the list, not the modal
+                e.stopPropagation();
+                close();
+            }
+        });
+    }
+
+    /**
+     * Wire up the tag editor: +tag/-tag input and removable chips
+     */
+    setupTagEditor() {
+        const hiddenInput = document.getElementById('taskTags');
+        const tagInput = document.getElementById('taskTagInput');
+        const chipsContainer = document.getElementById('tagEditorChips');
+
+        if (!hiddenInput || !tagInput || !chipsContainer) return;
+
+        const getTags = () => this.taskManager.normalizeTags(hiddenInput.value);
+
+        const renderChips = () => {
+            chipsContainer.innerHTML = getTags().map(tag => `
+                <span class="tag-chip">+${this.escapeHtml(tag)}<span class="tag-chip-remove" data-tag="${this.escapeHtml(tag)}" title="Remove tag">×</span></span>
+            `).join('');
+
+            chipsContainer.querySelectorAll('.tag-chip-remove').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    hiddenInput.value = this.taskManager.applyTagModifiers(getTags(), '-' + btn.dataset.tag).join(' ');
+                    renderChips();
+                    tagInput.focus();
+                });
+            });
+        };
+
+        const applyInput = () => {
+            const text = tagInput.value.trim();
+            if (!text) return false;
+            hiddenInput.value = this.taskManager.applyTagModifiers(getTags(), text).join(' ');
+            tagInput.value = '';
+            renderChips();
+            return true;
+        };
+
+        tagInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ' || e.key === ',') {
+                // Only swallow the key if there was something to apply; an empty
+                // Enter falls through to the modal's submit handler
+                if (applyInput()) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                } else if (e.key !== 'Enter') {
+                    e.preventDefault();
+                }
+            } else if (e.key === 'Backspace' && tagInput.value === '') {
+                const tags = getTags();
+                if (tags.length > 0) {
+                    hiddenInput.value = tags.slice(0, -1).join(' ');
+                    renderChips();
+                }
+            }
+        });
+
+        tagInput.addEventListener('blur', () => applyInput());
+
+        renderChips();
+    }
+
+    /**
+     * Read the tag editor's final value (including any text not yet applied)
+     */
+    readTagEditor() {
+        const hiddenInput = document.getElementById('taskTags');
+        if (!hiddenInput) return [];
+
+        const tagInput = document.getElementById('taskTagInput');
+        const pending = tagInput ? tagInput.value.trim() : '';
+        return this.taskManager.applyTagModifiers(hiddenInput.value, pending);
+    }
+
     /**
      * Show delete confirmation
      */
@@ -905,9 +1392,21 @@ class TaskTerminalApp {
                 <div class="help-command">
                     <span class="help-command-name">:A</span> or <span class="help-command-name">:add</span> - Add a new task
                 </div>
+                <div class="help-command">
+                    <span class="help-command-name">:A Write Q3 report project:Finance pri:h due:+3d parent:12 +urgent</span> - Add a task in one line
+                </div>
+                <div class="help-command">
+                    Modifiers: project:, pri:, due:, scheduled:, wait:, status:, parent:, depends:3,4, recur:, until:, estimate:2h, +tag (quote values with spaces: project:"Big Client")
+                </div>
+                <div class="help-command">
+                    Dates: 2026-11-03 14:30, today, tomorrow, fri, next mon 9am, friday 17:00, eod/eow/eom/eoy, sow/som/soy, +3d, +2h, +3w, in 2 weeks, 2026-W45
+                </div>
                 <div class="help-command">
                     <span class="help-command-name">:M [task_id]</span> or <span class="help-command-name">:modify [task_id]</span> - Modify existing task
                 </div>
+                <div class="help-command">
+                    <span class="help-command-name">:M[1,2,5] status:c pri:h</span> / <span class="help-command-name">:M[10~20] due:+1d -someday</span> - Modify several tasks at once (one undo step)
+                </div>
                 <div class="help-command">
                     <span class="help-command-name">:D [task_id]</span> or <span class="help-command-name">:delete [task_id]</span> - Delete single task
                 </div>
@@ -941,7 +1440,10 @@ class TaskTerminalApp {
                     <span class="help-command-name">:Filter_ID!=[1,2,5]</span> - Exclude specific tasks
                 </div>
                 <div class="help-command">
-                    <span class="help-command-name">:Filter_Project="ProjectName"</span> - Filter by project (case-insensitive)
+                    <span class="help-command-name">:Filter_Project="Client"</span> - Filter by project, including subprojects like Client.Website (case-insensitive)
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:Filter_Project=="Client"</span> - Filter by the project only, without subprojects
                 </div>
                 <div class="help-command">
                     <span class="help-command-name">:Filter_Project!="Archive"</span> - Exclude project
@@ -958,7 +1460,28 @@ class TaskTerminalApp {
                 <div class="help-command">
                     <span class="help-command-name">:Filter_Status!="Completed"</span> - Exclude status
                 </div>
+                <div class="help-command">
+                    <span class="help-command-name">:Filter_Tag="urgent"</span> - Filter by tag
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:Filter_Tag!="someday"</span> - Exclude tag
+                </div>
                 <div class="help-command" style="margin-top: 10px; color: var(--text-muted); font-style: italic;">
+                    <span class="help-command-name">:filter (priority=High or priority=Critical) and project=Alpha and not status=Completed</span> - Combine conditions with and, or, not and parentheses
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:Filter_Due&lt;tomorrow</span> / <span class="help-command-name">:Filter_Due&gt;=2026-11-01</span> / <span class="help-command-name">:Filter_Due=none</span> - Filter by due date
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:overdue</span> / <span class="help-command-name">:due week</span> / <span class="help-command-name">:due month</span> / <span class="help-command-name">:due &lt;+3d</span> - Due date shortcuts
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:waiting</span> - Show tasks hidden by a future wait: date. Tasks past their until: date move to the trash automatically
+                </div>
+                <div class="help-command">
+                    Fields: id, name, project, priority, status, tag, notes, parent, due, scheduled, wait, until. Operators: = == (exact project) != ~ (contains), &lt; &gt; &lt;= &gt;= (id, parent and dates)
+                </div>
+                <div class="help-command">
                     Note: Filtering includes all ancestors and descendants automatically
                 </div>
             </div>
@@ -970,11 +1493,73 @@ class TaskTerminalApp {
                 <div class="help-command">Filtering on any task shows its full family tree</div>
             </div>
 
+            <div class="help-section">
+                <div class="help-title">Dependencies</div>
+                <div class="help-command">
+                    <span class="help-command-name">:depends 5 on 3</span> - Task 5 is blocked until task 3 is completed
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:depends 5 on 3,4</span> - Add several prerequisites at once
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:undepend 5 on 3</span> - Remove a prerequisite
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:undepend 5</span> - Remove all prerequisites
+                </div>
+                <div class="help-command">Tasks with open prerequisites are set to Blocked automatically, and return to Not Started once all are completed</div>
+            </div>
+
+            <div class="help-section">
+                <div class="help-title">Saved Views</div>
+                <div class="help-command">
+                    <span class="help-command-name">:view save work</span> - Save the current filter, sort and folded tasks as "work"
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:view work</span> - Apply a saved view
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:view list</span> / <span class="help-command-name">:view delete work</span> - List or delete saved views
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:view default work</span> / <span class="help-command-name">:view default none</span> - Set or clear the view applied on startup
+                </div>
+            </div>
+
+            <div class="help-section">
+                <div class="help-title">Recurring Tasks</div>
+                <div class="help-command">
+                    <span class="help-command-name">:recur 5 weekly</span> - Repeat task 5 (daily, weekly, monthly, yearly, weekdays, last-day-of-month)
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:recur 5 every 2w until 2026-12-31</span> - Custom interval (d/w/m/y) with an end date
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:recur 5 none</span> - Stop repeating
+                </div>
+                <div class="help-command">Completing a recurring task (↻) creates the next one with the due date advanced</div>
+            </div>
+
             <div class="help-section">
                 <div class="help-title">Sorting</div>
                 <div class="help-command">
                     <span class="help-command-name">:Sort_by_priority</span> - Sort by priority (Critical → Low)
                 </div>
+                <div class="help-command">
+                    <span class="help-command-name">:sort project,priority,-due</span> - Sort by several keys (id, name, due, scheduled, wait, until, priority, status, project, parent, urgency); prefix - for descending, + for ascending
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:sort default</span> - Return to the default order. Subtasks are sorted within their parent
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:sort urgency</span> - Most urgent first (priority, due date, age, dependencies, tags, In Progress, subtasks)
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:next</span> / <span class="help-command-name">:next 5</span> - The most urgent tasks you can work on now (default 10)
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:set urgency.due 15</span> - Change an urgency coefficient (<span class="help-command-name">:set</span> lists them; default restores one)
+                </div>
             </div>
 
             <div class="help-section">
@@ -986,10 +1571,10 @@ class TaskTerminalApp {
                     <span class="help-command-name">:restore [task_id]</span> - Restore task from trash
                 </div>
                 <div class="help-command">
-                    <span class="help-command-name">:purge [task_id]</span> - Permanently delete task (cannot be undone)
+                    <span class="help-command-name">:purge [task_id]</span> - Permanently delete task (undo with U)
                 </div>
                 <div class="help-command">
-                    <span class="help-command-name">:purge all</span> - Empty trash (cannot be undone)
+                    <span class="help-command-name">:purge all</span> - Empty trash (undo with U)
                 </div>
             </div>
 
@@ -1001,20 +1586,76 @@ class TaskTerminalApp {
                 <div class="help-command">
                     <span class="help-command-name">:export</span> - Export all tasks to JSON backup file
                 </div>
+                <div class="help-command">
+                    <span class="help-command-name">:export taskwarrior</span> - Export for Taskwarrior's task import (subtasks kept in the parenttask UDA)
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:export todotxt</span> - Export as todo.txt ((A)-(D) priorities, +project, @tags, due:, id:/parent: for subtasks)
+                </div>
                 <div class="help-command">
                     <span class="help-command-name">:csv</span> - Export all tasks to CSV file
                 </div>
                 <div class="help-command">
-                    <span class="help-command-name">:import</span> - Import tasks from JSON backup file
+                    <span class="help-command-name">:import</span> - Import tasks from JSON backup file (replaces all tasks)
                 </div>
                 <div class="help-command">
-                    <span class="help-command-name">:help</span> or <span class="help-command-name">:h</span> - Show this help
+                    <span class="help-command-name">:import merge</span> - Add tasks from a backup to your own: new IDs, likely duplicates (same name, project and due day) skipped, preview before importing
                 </div>
                 <div class="help-command">
-                    <span class="help-command-name">:privacy</span> - Show privacy and security information
+                    <span class="help-command-name">:import taskwarrior</span> - Merge the output of Taskwarrior's task export (same preview as :import merge)
                 </div>
-            </div>
-
+                <div class="help-command">
+                    <span class="help-command-name">:import todotxt</span> - Merge a todo.txt file (same preview as :import merge)
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:import csv</span> - Merge a spreadsheet: choose a task field for each column, check the dry run, then preview
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:help</span> or <span class="help-command-name">:h</span> - Show this help
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:privacy</span> - Show privacy and security information
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:set timezone Europe/London</span> / <span class="help-command-name">:set locale en-GB</span> - Change how dates are shown and entered (<span class="help-command-name">:set</span> lists settings)
+                </div>
+            </div>
+
+            <div class="help-section">
+                <div class="help-title">Undo History</div>
+                <div class="help-command">
+                    <span class="help-command-name">:undo 5</span> / <span class="help-command-name">:redo 2</span> - Undo or redo several actions at once
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:history</span> - List recent actions (history survives page reloads)
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:history depth 50</span> / <span class="help-command-name">:history clear</span> - Change how many actions are kept, or forget them
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:log 12</span> - Timeline of every change to task #12 (also in the History tab of :M 12)
+                </div>
+            </div>
+
+            <div class="help-section">
+                <div class="help-title">Time Tracking</div>
+                <div class="help-command">
+                    <span class="help-command-name">:start 12</span> / <span class="help-command-name">:start</span> - Start the timer on task #12 (or the selected task) and set it In Progress. Starting another task stops the running timer
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:stop</span> or <span class="help-command-name">S</span> - Stop the timer (S on another task starts it there)
+                </div>
+                <div class="help-command">
+                    The header shows the running clock; the Time column includes subtasks, and :csv exports the hours
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:M 12 estimate:3d</span> - Estimate effort (90m, 2h, 3d, 1w = 5d of 8h, or 5pt). Parents show Σ remaining effort of incomplete subtasks
+                </div>
+                <div class="help-command">
+                    <span class="help-command-name">:projects</span> - Project report: tasks by status, % complete, overdue, next due, most urgent task and remaining effort. Dotted projects (Client.Website) show as a tree. Enter or click a row to filter by that project
+                </div>
+            </div>
+
             <div class="help-section">
                 <div class="help-title">Keyboard Shortcuts (Navigation Mode)</div>
                 <div class="help-command"><span class="help-command-name">↑/↓</span> - Navigate tasks</div>
@@ -1023,6 +1664,7 @@ class TaskTerminalApp {
                 <div class="help-command"><span class="help-command-name">D</span> - Delete selected task</div>
                 <div class="help-command"><span class="help-command-name">C</span> - Complete selected task</div>
                 <div class="help-command"><span class="help-command-name">F</span> - Fold/Unfold selected task children</div>
+                <div class="help-command"><span class="help-command-name">S</span> - Start/stop the timer on selected task</div>
                 <div class="help-command"><span class="help-command-name">!</span> - Set Critical priority</div>
                 <div class="help-command"><span class="help-command-name">U</span> - Undo last action</div>
                 <div class="help-command"><span class="help-command-name">R</span> - Redo last undone action</div>
@@ -1333,8 +1975,10 @@ class TaskTerminalApp {
 
                         // Apply filter to show the selected task and its family tree
                         self.currentFilters = {
-                            id: { value: taskId, negate: false }
+                            type: 'comparison', field: 'id', operator: '=', value: taskId
                         };
+                        self.currentFilterExpression = `id=${taskId}`;
+                        self.setActiveView(null);
                         await render();
                         showMessage(`Showing task #${taskId}`, 'success');
                     });
@@ -1526,7 +2170,7 @@ class TaskTerminalApp {
 
         if (action === 'modify') {
             this.submitModifyTask();
-        } else if (action === 'delete' || action === 'bulk_delete' || action === 'view_notes' || action === 'help' || action === 'privacy') {
+        } else if (action === 'delete' || action === 'bulk_delete' || action === 'import_merge' || action === 'import_problems' || action === 'import_csv' || action === 'view_notes' || action === 'help' || action === 'privacy') {
             // Delete, bulk_delete, view_notes, help, and privacy use custom buttons or no form
             return;
         } else if (action === 'add' || !action) {
@@ -1541,13 +2185,16 @@ class TaskTerminalApp {
     async submitAddTask() {
         try {
             const name = document.getElementById('taskName').value.trim();
-            const dueDateStr = document.getElementById('taskDueDate').value.trim();
+            const dueDateStr = this.readDueDateInput();
             const status = document.getElementById('taskStatus').value;
             const project = document.getElementById('taskProject').value.trim();
             const priority = document.getElementById('taskPriority').value;
+            const estimate = document.getElementById('taskEstimate').value.trim();
             const notesStr = document.getElementById('taskNotes').value.trim();
             const parentElement = document.getElementById('taskParent');
             const parentStr = parentElement ? parentElement.value.trim() : '';
+            const tags = this.readTagEditor();
+            const schedule = this.readScheduleFields();
 
             if (!name) {
                 throw new Error('Task name is required');
@@ -1558,7 +2205,10 @@ class TaskTerminalApp {
                 status,
                 project: project || null,
                 priority,
-                parentTaskId: parentStr ? parseInt(parentStr) : null
+                tags,
+                parentTaskId: parentStr ? parseInt(parentStr) : null,
+                ...schedule,
+                estimate: estimate || null
             };
 
             // Use due date from hidden input (already in ISO format from calendar)
@@ -1583,6 +2233,40 @@ class TaskTerminalApp {
         }
     }
 
+    /**
+     * Create a task from an inline :A command
+     */
+    async createTaskInline(taskData) {
+        try {
+            const task = await this.taskManager.createTask(taskData);
+            this.showMessage(`Task #${task.id} "${task.name}" created successfully`, 'success');
+            await this.render();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Apply inline modifiers to one or more tasks (:M 5 pri:h, :M[1~10] status:c)
+     */
+    async bulkModifyTasks(taskIds, updates, tagModifiers) {
+        const { updated, failed } = await this.taskManager.bulkUpdateTasks(taskIds, updates, tagModifiers);
+
+        await this.render();
+
+        if (failed.length === 0) {
+            const message = updated.length === 1
+                ? `Task #${updated[0]} updated`
+                : `Updated ${updated.length} tasks (undo reverts all)`;
+            this.showMessage(message, 'success');
+            return;
+        }
+
+        const failures = failed.map(f => `#${f.taskId}: ${f.error}`).join('; ');
+        const prefix = updated.length > 0 ? `Updated ${updated.length} of ${taskIds.length} tasks. ` : '';
+        this.showMessage(`${prefix}Failed: ${failures}`, 'error');
+    }
+
     /**
      * Submit modify task form
      */
@@ -1590,12 +2274,15 @@ class TaskTerminalApp {
         try {
             const taskId = parseInt(this.modalBody.dataset.taskId);
             const name = document.getElementById('taskName').value.trim();
-            const dueDateStr = document.getElementById('taskDueDate').value.trim();
+            const dueDateStr = this.readDueDateInput();
             const status = document.getElementById('taskStatus').value;
             const project = document.getElementById('taskProject').value.trim();
             const priority = document.getElementById('taskPriority').value;
+            const estimate = document.getElementById('taskEstimate').value.trim();
             const notesStr = document.getElementById('taskNotes').value.trim();
             const parentStr = document.getElementById('taskParent').value.trim();
+            const tags = this.readTagEditor();
+            const schedule = this.readScheduleFields();
 
             if (!name) {
                 throw new Error('Task name is required');
@@ -1606,18 +2293,24 @@ class TaskTerminalApp {
                 status,
                 project: project || null,
                 priority,
-                parentTaskId: parentStr ? parseInt(parentStr) : null
+                tags,
+                parentTaskId: parentStr ? parseInt(parentStr) : null,
+                ...schedule,
+                estimate: estimate || null
             };
 
             // Use due date from hidden input (already in ISO format from calendar)
             updates.dueDate = dueDateStr || null;
 
-            await this.taskManager.updateTask(taskId, updates);
+            // Field changes and the new note undo together
+            await this.taskManager.recordBatch('modify', async () => {
+                await this.taskManager.updateTask(taskId, updates);
 
-            // Add note if provided
-            if (notesStr) {
-                await this.taskManager.addNote(taskId, notesStr);
-            }
+                // Add note if provided
+                if (notesStr) {
+                    await this.taskManager.addNote(taskId, notesStr);
+                }
+            }, { taskId });
 
             this.showMessage(`Task #${taskId} updated successfully`, 'success');
             await this.render();
@@ -1649,6 +2342,198 @@ class TaskTerminalApp {
         this.commandInput.blur();
     }
 
+    /**
+     * Saved Views
+     */
+
+    /**
+     * Save the current filter, sort and fold state as a named view
+     */
+    async saveView(name) {
+        try {
+            const view = await this.taskManager.saveView(name, {
+                filterExpression: this.currentFilterExpression,
+                sort: this.currentSort,
+                collapsedTaskIds: Array.from(this.collapsedTasks)
+            });
+            this.setActiveView(view.name);
+            this.showMessage(`View "${view.name}" saved`, 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Apply a saved view (filter expression is re-parsed so relative dates stay current)
+     */
+    async applyView(view) {
+        let filters = null;
+        if (view.filterExpression) {
+            const parsed = this.commandParser.handleFilter(`filter ${view.filterExpression}`);
+            if (!parsed.success) {
+                throw new Error(parsed.message);
+            }
+            filters = parsed.data.filters;
+        }
+
+        this.currentFilters = filters;
+        this.currentFilterExpression = view.filterExpression;
+        this.currentSort = view.sort;
+        this.collapsedTasks = new Set(view.collapsedTaskIds || []);
+        this.selectedTaskIndex = 0;
+        this.setActiveView(view.name);
+
+        if (this.isInitialized) {
+            await this.render();
+        }
+    }
+
+    /**
+     * Apply the default view on startup (a broken view is skipped, not fatal)
+     */
+    async applyDefaultView() {
+        try {
+            const name = await this.taskManager.getDefaultView();
+            if (!name) return;
+
+            const view = await this.taskManager.getView(name);
+            if (view) {
+                await this.applyView(view);
+            }
+        } catch (error) {
+            console.warn('Failed to apply default view:', error);
+        }
+    }
+
+    /**
+     * Show saved views in the message area
+     */
+    async listViews() {
+        const views = Object.values(await this.taskManager.getViews());
+        if (views.length === 0) {
+            this.showMessage('No saved views. Use :view save NAME to save the current filter and sort', 'info');
+            return;
+        }
+
+        const defaultView = await this.taskManager.getDefaultView();
+        const names = views
+            .map(v => v.name)
+            .sort((a, b) => a.localeCompare(b))
+            .map(n => n === defaultView ? `${n} (default)` : n);
+        this.showMessage(`Saved views: ${names.join(', ')}`, 'info');
+    }
+
+    /**
+     * Delete a saved view
+     */
+    async deleteView(name) {
+        try {
+            const deleted = await this.taskManager.deleteView(name);
+            if (this.activeView && this.activeView.toLowerCase() === deleted.toLowerCase()) {
+                this.setActiveView(null);
+            }
+            this.showMessage(`View "${deleted}" deleted`, 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Set or clear the view applied on startup
+     */
+    async setDefaultView(name) {
+        try {
+            const saved = await this.taskManager.setDefaultView(name);
+            this.showMessage(saved ? `Default view set to "${saved}"` : 'Default view cleared', 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Track the active view and show its name in the header
+     */
+    setActiveView(name) {
+        this.activeView = name;
+        if (!this.activeViewIndicator) return;
+
+        this.activeViewIndicator.textContent = name ? `view: ${name}` : '';
+        this.activeViewIndicator.classList.toggle('hidden', !name);
+    }
+
+    /**
+     * Describe a sort spec for display, e.g. "project ↑, priority ↓"
+     */
+    formatSortDescription(sort) {
+        if (!sort) return 'default (priority, due date)';
+
+        return this.taskManager.parseSortKeys(sort)
+            .map(k => `${k.field} ${k.descending ? '↓' : '↑'}`)
+            .join(', ');
+    }
+
+    /**
+     * Urgency score with one decimal ('-' for completed tasks)
+     */
+    formatUrgency(task, urgencyScores) {
+        if (task.status === 'Completed' || !urgencyScores.has(task.id)) return '-';
+        return urgencyScores.get(task.id).toFixed(1);
+    }
+
+    /**
+     * Tracked time including subtasks, with a marker while the timer runs
+     */
+    formatTrackedTime(task, allTasksById) {
+        const own = this.taskManager.getTrackedTime(task);
+        const total = this.taskManager.getTrackedTimeWithChildren(task, allTasksById);
+        const running = this.taskManager.isTimerRunning(task)
+            ? '<span class="timer-running" title="Timer running">●</span>'
+            : '';
+
+        if (total === 0 && !running) return '-';
+
+        const title = total > own
+            ? ` title="${this.taskManager.formatDuration(own)} on this task, ${this.taskManager.formatDuration(total - own)} on subtasks"`
+            : '';
+        return `<span${title}>${running}${this.taskManager.formatDuration(total)}</span>`;
+    }
+
+    /**
+     * Own estimate, or for parents the remaining effort including incomplete subtasks (Σ)
+     */
+    formatEstimateCell(task, allTasksById) {
+        const own = this.taskManager.formatEstimate(task.estimate);
+        if (!task.childTaskIds || task.childTaskIds.length === 0) {
+            return own || '-';
+        }
+
+        const remaining = this.taskManager.formatEffort(this.taskManager.getRemainingEffort(task, allTasksById));
+        if (!remaining) return own || '-';
+        return `<span title="Own estimate: ${own || 'none'}; remaining including incomplete subtasks: ${remaining}">Σ ${remaining}</span>`;
+    }
+
+    /**
+     * Show the running timer's elapsed time in the header (ticks every second)
+     */
+    updateTimerClock() {
+        if (!this.activeTimerClock) return;
+
+        const task = this.activeTimerTask;
+        const entry = task ? (task.timeLog || []).find(e => !e.end) : null;
+        if (!entry) {
+            this.activeTimerClock.classList.add('hidden');
+            return;
+        }
+
+        const seconds = Math.max(0, Math.floor((Date.now() - new Date(entry.start).getTime()) / 1000));
+        const pad = n => String(n).padStart(2, '0');
+        const clock = `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+
+        this.activeTimerClock.textContent = `⏱ #${task.id} ${clock}`;
+        this.activeTimerClock.title = `${task.name} - ${this.taskManager.formatDuration(this.taskManager.getTrackedTime(task))} tracked in total (:stop to stop)`;
+        this.activeTimerClock.classList.remove('hidden');
+    }
+
     /**
      * Show message
      */
@@ -1675,17 +2560,35 @@ class TaskTerminalApp {
      */
     async render() {
         try {
-            let tasks = await this.taskManager.getAllTasks();
+            const allTasks = await this.taskManager.getAllTasks();
+            const allTasksById = new Map(allTasks.map(t => [t.id, t]));
+            const urgencyScores = this.taskManager.getUrgencyScores(allTasks);
+            let tasks = allTasks;
+
+            this.activeTimerTask = allTasks.find(t => this.taskManager.isTimerRunning(t)) || null;
+            this.updateTimerClock();
 
             // Apply filters
             if (this.currentFilters) {
                 tasks = await this.taskManager.filterTasks(this.currentFilters);
             }
 
+            // Waiting tasks only show in :waiting, or when the filter asks about wait dates
+            let hiddenWaiting = 0;
+            if (this.showWaiting) {
+                tasks = tasks.filter(t => this.taskManager.isTaskWaiting(t));
+            } else if (!this.taskManager.filterReferences(this.currentFilters, 'wait')) {
+                const visible = tasks.filter(t => !this.taskManager.isTaskWaiting(t));
+                hiddenWaiting = tasks.length - visible.length;
+                tasks = visible;
+            }
+
             // Apply sort (default: sort by priority and due date)
-            tasks = this.taskManager.sortByPriority(tasks);
+            tasks = this.currentSort
+                ? this.taskManager.sortTasks(tasks, this.currentSort, allTasks)
+                : this.taskManager.sortByPriority(tasks, { scheduled: this.taskManager.settings.sortByScheduled });
 
-            // Organize hierarchically
+            // Organize hierarchically (sort order is kept within each sibling group)
             tasks = this.taskManager.getTasksHierarchical(tasks);
 
             if (tasks.length === 0) {
@@ -1703,8 +2606,17 @@ class TaskTerminalApp {
             // Array to track actually visible (rendered) tasks
             const actuallyVisibleTasks = [];
 
+            // Status line showing the active sort and filter
+            const filterText = this.currentFilterExpression
+                ? ` | Filter: ${this.escapeHtml(this.currentFilterExpression)}`
+                : '';
+            const waitingText = this.showWaiting
+                ? ' | Showing: waiting tasks'
+                : (hiddenWaiting > 0 ? ` | ${hiddenWaiting} waiting (:waiting)` : '');
+
             // Build table
             let tableHtml = `
+                <div class="status-line">Sort: ${this.escapeHtml(this.formatSortDescription(this.currentSort))}${filterText}${waitingText}</div>
                 <table class="task-table">
                     <thead>
                         <tr>
@@ -1713,8 +2625,13 @@ class TaskTerminalApp {
                             <th class="col-due">Due Date</th>
                             <th class="col-status">Status</th>
                             <th class="col-project">Project</th>
+                            <th class="col-tags">Tags</th>
                             <th class="col-priority">Priority</th>
+                            <th class="col-urgency">Urgency</th>
+                            <th class="col-time">Time</th>
+                            <th class="col-estimate">Estimate</th>
                             <th class="col-parent">Parent</th>
+                            <th class="col-depends">Depends</th>
                             <th class="col-notes">Notes</th>
                         </tr>
                     </thead>
@@ -1777,6 +2694,14 @@ class TaskTerminalApp {
                     nameClass = 'task-name grandchild';
                 }
 
+                // Recurrence indicator
+                let recurIndicator = '';
+                if (task.recur) {
+                    const untilText = task.until ? ` until ${this.taskManager.formatDate(task.until)}` : '';
+                    recurIndicator = `<span class="recur-indicator" title="Repeats ${this.escapeHtml(task.recur)}${untilText}">↻</span>`;
+                }
+                recurIndicator += this.getDateIndicators(task);
+
                 // Fold toggle for tasks with children
                 let foldToggle = '';
                 if (hasChildren) {
@@ -1792,10 +2717,16 @@ class TaskTerminalApp {
                 const notesCount = task.notes && task.notes.length > 0 ? task.notes.length : 0;
                 const notesText = notesCount > 0 ? `${notesCount} note(s)` : '-';
 
+                const dependsHtml = this.formatDependencies(task, allTasksById);
+
+                const tagsHtml = task.tags && task.tags.length > 0
+                    ? task.tags.map(tag => `<span class="tag-chip">+${this.escapeHtml(tag)}</span>`).join('')
+                    : '-';
+
                 tableHtml += `
                     <tr class="${rowClass}" data-task-id="${task.id}">
                         <td class="col-id">${task.id}</td>
-                        <td class="col-name"><div class="${nameClass}">${foldToggle}${this.escapeHtml(task.name)}</div></td>
+                        <td class="col-name"><div class="${nameClass}">${foldToggle}${this.escapeHtml(task.name)}${recurIndicator}</div></td>
                         <td class="col-due due-date-cell ${dueDateClass}" data-task-id="${task.id}" title="Click to change due date">
                             ${this.taskManager.formatDate(task.dueDate)}
                         </td>
@@ -1803,10 +2734,15 @@ class TaskTerminalApp {
                             <span class="${statusClass}">${task.status}</span>
                         </td>
                         <td class="col-project">${this.escapeHtml(task.project || '-')}</td>
+                        <td class="col-tags">${tagsHtml}</td>
                         <td class="col-priority priority-cell" data-task-id="${task.id}">
                             <span class="${priorityClass}">${priorityText}</span>
                         </td>
+                        <td class="col-urgency">${this.formatUrgency(task, urgencyScores)}</td>
+                        <td class="col-time">${this.formatTrackedTime(task, allTasksById)}</td>
+                        <td class="col-estimate">${this.formatEstimateCell(task, allTasksById)}</td>
                         <td class="col-parent">${task.parentTaskId !== null ? task.parentTaskId : '-'}</td>
+                        <td class="col-depends">${dependsHtml}</td>
                         <td class="col-notes notes-cell" data-task-id="${task.id}" title="Click to view notes">${notesText}</td>
                     </tr>
                 `;
@@ -2016,14 +2952,24 @@ class TaskTerminalApp {
      */
     async updateTaskStatus(taskId, newStatus) {
         try {
-            await this.taskManager.updateTask(taskId, { status: newStatus });
-            this.showMessage(`Task #${taskId} status updated to ${newStatus}`, 'success');
+            const task = await this.taskManager.updateTask(taskId, { status: newStatus });
+            this.showMessage(`Task #${taskId} status updated to ${newStatus}${this.getRecurrenceNote(task)}`, 'success');
             await this.render();
         } catch (error) {
             this.showMessage(error.message, 'error');
         }
     }
 
+    /**
+     * Message suffix noting the next occurrence spawned by completing a recurring task
+     */
+    getRecurrenceNote(task) {
+        if (!task || !task.recur || task.status !== 'Completed') return '';
+        return task.nextInstanceId
+            ? ` (next occurrence: #${task.nextInstanceId})`
+            : ' (recurrence ended)';
+    }
+
     /**
      * Show priority dropdown for quick priority change
      */
@@ -2137,24 +3083,23 @@ class TaskTerminalApp {
         popup.className = 'modal-calendar-popup';
 
         // Initialize with current value or today (pre-select today if no value)
+        // Dates are edited as wall-clock parts in the configured timezone
+        const dates = this.taskManager.dates;
         const currentValue = hiddenInput.value;
-        const today = new Date();
-        today.setHours(9, 0, 0, 0); // Default to 9 AM
-        let selectedDate = currentValue ? new Date(currentValue) : today;
-        let viewMonth = selectedDate.getMonth();
-        let viewYear = selectedDate.getFullYear();
+        let selectedDate = currentValue
+            ? dates.getParts(currentValue)
+            : { ...dates.getParts(new Date()), hour: 9, minute: 0, second: 0 }; // Default to 9 AM today
+        let viewMonth = selectedDate.month - 1;
+        let viewYear = selectedDate.year;
 
         const renderCalendar = () => {
             const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
                                'July', 'August', 'September', 'October', 'November', 'December'];
 
-            const firstDay = new Date(viewYear, viewMonth, 1);
-            const lastDay = new Date(viewYear, viewMonth + 1, 0);
-            const startingDayOfWeek = firstDay.getDay();
-            const monthLength = lastDay.getDate();
+            const startingDayOfWeek = dates.getWeekday({ year: viewYear, month: viewMonth + 1, day: 1 });
+            const monthLength = dates.daysInMonth(viewYear, viewMonth + 1);
 
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
+            const today = dates.getParts(new Date());
 
             let calendarHtml = `
                 <div class="calendar-header">
@@ -2181,19 +3126,16 @@ class TaskTerminalApp {
 
             // Days of the month
             for (let day = 1; day <= monthLength; day++) {
-                const date = new Date(viewYear, viewMonth, day);
-                date.setHours(0, 0, 0, 0);
+                const date = { year: viewYear, month: viewMonth + 1, day };
 
                 let classes = 'calendar-day';
 
-                if (date.getTime() === today.getTime()) {
+                if (dates.isSameDay(date, today)) {
                     classes += ' today';
                 }
 
                 if (selectedDate) {
-                    const selDate = new Date(selectedDate);
-                    selDate.setHours(0, 0, 0, 0);
-                    if (date.getTime() === selDate.getTime()) {
+                    if (dates.isSameDay(date, selectedDate)) {
                         classes += ' selected';
                     }
                 }
@@ -2204,7 +3146,7 @@ class TaskTerminalApp {
             calendarHtml += '</div>';
 
             const timeValue = selectedDate
-                ? `${String(selectedDate.getHours()).padStart(2, '0')}:${String(selectedDate.getMinutes()).padStart(2, '0')}`
+                ? `${String(selectedDate.hour).padStart(2, '0')}:${String(selectedDate.minute).padStart(2, '0')}`
                 : '09:00';
 
             calendarHtml += `
@@ -2250,7 +3192,7 @@ class TaskTerminalApp {
                 dayEl.addEventListener('click', () => {
                     const [year, month, day] = dayEl.dataset.date.split('-').map(Number);
                     const time = popup.querySelector('#modalTimeInput').value.split(':');
-                    selectedDate = new Date(year, month - 1, day, parseInt(time[0]), parseInt(time[1]));
+                    selectedDate = { year, month, day, hour: parseInt(time[0]), minute: parseInt(time[1]), second: 0 };
                     renderCalendar();
                 });
             });
@@ -2265,24 +3207,23 @@ class TaskTerminalApp {
                         selectedDate = null;
                         hiddenInput.value = '';
                         displaySpan.textContent = 'Click to select date';
+                        this.clearDueDateText();
                         popup.remove();
                         return;
-                    } else if (action === 'today') {
-                        selectedDate = new Date();
-                        selectedDate.setHours(parseInt(time[0]), parseInt(time[1]), 0, 0);
-                    } else if (action === 'tomorrow') {
-                        selectedDate = new Date();
-                        selectedDate.setDate(selectedDate.getDate() + 1);
-                        selectedDate.setHours(parseInt(time[0]), parseInt(time[1]), 0, 0);
-                    } else if (action === 'week') {
-                        selectedDate = new Date();
-                        selectedDate.setDate(selectedDate.getDate() + 7);
-                        selectedDate.setHours(parseInt(time[0]), parseInt(time[1]), 0, 0);
+                    } else {
+                        // today / tomorrow / +1 week, at the chosen time
+                        const offsets = { today: 0, tomorrow: 1, week: 7 };
+                        selectedDate = {
+                            ...dates.shiftDays(dates.getParts(new Date()), offsets[action]),
+                            hour: parseInt(time[0]),
+                            minute: parseInt(time[1]),
+                            second: 0
+                        };
                     }
 
                     if (selectedDate) {
-                        viewMonth = selectedDate.getMonth();
-                        viewYear = selectedDate.getFullYear();
+                        viewMonth = selectedDate.month - 1;
+                        viewYear = selectedDate.year;
                     }
                     renderCalendar();
                 });
@@ -2292,16 +3233,10 @@ class TaskTerminalApp {
             popup.querySelector('.calendar-save-btn').addEventListener('click', () => {
                 if (selectedDate) {
                     const time = popup.querySelector('#modalTimeInput').value.split(':');
-                    selectedDate.setHours(parseInt(time[0]), parseInt(time[1]), 0, 0);
-                    hiddenInput.value = selectedDate.toISOString();
-                    displaySpan.textContent = selectedDate.toLocaleString('en-AU', {
-                        timeZone: 'Australia/Sydney',
-                        year: 'numeric',
-                        month: 'short',
-                        day: 'numeric',
-                        hour: '2-digit',
-                        minute: '2-digit'
-                    });
+                    const dueDate = dates.fromParts({ ...selectedDate, hour: parseInt(time[0]), minute: parseInt(time[1]), second: 0 });
+                    hiddenInput.value = dueDate.toISOString();
+                    displaySpan.textContent = dates.formatDateTime(dueDate);
+                    this.clearDueDateText();
                 }
                 popup.remove();
             });
@@ -2337,26 +3272,22 @@ class TaskTerminalApp {
                 e.preventDefault();
                 e.stopPropagation();
                 // Move to previous day
-                if (selectedDate) {
-                    selectedDate.setDate(selectedDate.getDate() - 1);
-                } else {
-                    selectedDate = new Date();
-                }
-                viewMonth = selectedDate.getMonth();
-                viewYear = selectedDate.getFullYear();
+                selectedDate = selectedDate
+                    ? dates.shiftDays(selectedDate, -1)
+                    : dates.getParts(new Date());
+                viewMonth = selectedDate.month - 1;
+                viewYear = selectedDate.year;
                 renderCalendar();
                 popup.focus();
             } else if (e.key === 'ArrowRight') {
                 e.preventDefault();
                 e.stopPropagation();
                 // Move to next day
-                if (selectedDate) {
-                    selectedDate.setDate(selectedDate.getDate() + 1);
-                } else {
-                    selectedDate = new Date();
-                }
-                viewMonth = selectedDate.getMonth();
-                viewYear = selectedDate.getFullYear();
+                selectedDate = selectedDate
+                    ? dates.shiftDays(selectedDate, 1)
+                    : dates.getParts(new Date());
+                viewMonth = selectedDate.month - 1;
+                viewYear = selectedDate.year;
                 renderCalendar();
                 popup.focus();
             }
@@ -2400,22 +3331,21 @@ class TaskTerminalApp {
         popup.className = 'date-picker-popup';
 
         // Initialize with current date or today
-        const currentDate = task.dueDate ? new Date(task.dueDate) : new Date();
-        let selectedDate = task.dueDate ? new Date(task.dueDate) : null;
-        let viewMonth = currentDate.getMonth();
-        let viewYear = currentDate.getFullYear();
+        // Dates are edited as wall-clock parts in the configured timezone
+        const dates = this.taskManager.dates;
+        const currentDate = dates.getParts(task.dueDate || new Date());
+        let selectedDate = task.dueDate ? currentDate : null;
+        let viewMonth = currentDate.month - 1;
+        let viewYear = currentDate.year;
 
         const renderCalendar = () => {
             const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
                                'July', 'August', 'September', 'October', 'November', 'December'];
 
-            const firstDay = new Date(viewYear, viewMonth, 1);
-            const lastDay = new Date(viewYear, viewMonth + 1, 0);
-            const startingDayOfWeek = firstDay.getDay();
-            const monthLength = lastDay.getDate();
+            const startingDayOfWeek = dates.getWeekday({ year: viewYear, month: viewMonth + 1, day: 1 });
+            const monthLength = dates.daysInMonth(viewYear, viewMonth + 1);
 
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
+            const today = dates.getParts(new Date());
 
             let calendarHtml = `
                 <div class="calendar-header">
@@ -2442,21 +3372,18 @@ class TaskTerminalApp {
 
             // Days of the month
             for (let day = 1; day <= monthLength; day++) {
-                const date = new Date(viewYear, viewMonth, day);
-                date.setHours(0, 0, 0, 0);
+                const date = { year: viewYear, month: viewMonth + 1, day };
 
                 let classes = 'calendar-day';
 
                 // Check if it's today
-                if (date.getTime() === today.getTime()) {
+                if (dates.isSameDay(date, today)) {
                     classes += ' today';
                 }
 
                 // Check if it's the selected date
                 if (selectedDate) {
-                    const selDate = new Date(selectedDate);
-                    selDate.setHours(0, 0, 0, 0);
-                    if (date.getTime() === selDate.getTime()) {
+                    if (dates.isSameDay(date, selectedDate)) {
                         classes += ' selected';
                     }
                 }
@@ -2468,7 +3395,7 @@ class TaskTerminalApp {
 
             // Time picker and quick options
             const timeValue = selectedDate
-                ? `${String(selectedDate.getHours()).padStart(2, '0')}:${String(selectedDate.getMinutes()).padStart(2, '0')}`
+                ? `${String(selectedDate.hour).padStart(2, '0')}:${String(selectedDate.minute).padStart(2, '0')}`
                 : '09:00';
 
             calendarHtml += `
@@ -2514,7 +3441,7 @@ class TaskTerminalApp {
                 dayEl.addEventListener('click', () => {
                     const [year, month, day] = dayEl.dataset.date.split('-').map(Number);
                     const time = popup.querySelector('#timeInput').value.split(':');
-                    selectedDate = new Date(year, month - 1, day, parseInt(time[0]), parseInt(time[1]));
+                    selectedDate = { year, month, day, hour: parseInt(time[0]), minute: parseInt(time[1]), second: 0 };
                     renderCalendar();
                 });
             });
@@ -2527,22 +3454,20 @@ class TaskTerminalApp {
 
                     if (action === 'clear') {
                         selectedDate = null;
-                    } else if (action === 'today') {
-                        selectedDate = new Date();
-                        selectedDate.setHours(parseInt(time[0]), parseInt(time[1]), 0, 0);
-                    } else if (action === 'tomorrow') {
-                        selectedDate = new Date();
-                        selectedDate.setDate(selectedDate.getDate() + 1);
-                        selectedDate.setHours(parseInt(time[0]), parseInt(time[1]), 0, 0);
-                    } else if (action === 'week') {
-                        selectedDate = new Date();
-                        selectedDate.setDate(selectedDate.getDate() + 7);
-                        selectedDate.setHours(parseInt(time[0]), parseInt(time[1]), 0, 0);
+                    } else {
+                        // today / tomorrow / +1 week, at the chosen time
+                        const offsets = { today: 0, tomorrow: 1, week: 7 };
+                        selectedDate = {
+                            ...dates.shiftDays(dates.getParts(new Date()), offsets[action]),
+                            hour: parseInt(time[0]),
+                            minute: parseInt(time[1]),
+                            second: 0
+                        };
                     }
 
                     if (selectedDate) {
-                        viewMonth = selectedDate.getMonth();
-                        viewYear = selectedDate.getFullYear();
+                        viewMonth = selectedDate.month - 1;
+                        viewYear = selectedDate.year;
                     }
                     renderCalendar();
                 });
@@ -2550,11 +3475,12 @@ class TaskTerminalApp {
 
             // Save button
             popup.querySelector('.calendar-save-btn').addEventListener('click', async () => {
+                let dueDate = null;
                 if (selectedDate) {
                     const time = popup.querySelector('#timeInput').value.split(':');
-                    selectedDate.setHours(parseInt(time[0]), parseInt(time[1]), 0, 0);
+                    dueDate = dates.fromParts({ ...selectedDate, hour: parseInt(time[0]), minute: parseInt(time[1]), second: 0 }).toISOString();
                 }
-                await this.updateTaskDueDate(taskId, selectedDate ? selectedDate.toISOString() : null);
+                await this.updateTaskDueDate(taskId, dueDate);
                 popup.remove();
             });
 
@@ -2617,26 +3543,22 @@ class TaskTerminalApp {
                 e.preventDefault();
                 e.stopPropagation();
                 // Move to previous day
-                if (selectedDate) {
-                    selectedDate.setDate(selectedDate.getDate() - 1);
-                } else {
-                    selectedDate = new Date();
-                }
-                viewMonth = selectedDate.getMonth();
-                viewYear = selectedDate.getFullYear();
+                selectedDate = selectedDate
+                    ? dates.shiftDays(selectedDate, -1)
+                    : dates.getParts(new Date());
+                viewMonth = selectedDate.month - 1;
+                viewYear = selectedDate.year;
                 renderCalendar();
                 popup.focus();
             } else if (e.key === 'ArrowRight') {
                 e.preventDefault();
                 e.stopPropagation();
                 // Move to next day
-                if (selectedDate) {
-                    selectedDate.setDate(selectedDate.getDate() + 1);
-                } else {
-                    selectedDate = new Date();
-                }
-                viewMonth = selectedDate.getMonth();
-                viewYear = selectedDate.getFullYear();
+                selectedDate = selectedDate
+                    ? dates.shiftDays(selectedDate, 1)
+                    : dates.getParts(new Date());
+                viewMonth = selectedDate.month - 1;
+                viewYear = selectedDate.year;
                 renderCalendar();
                 popup.focus();
             }
@@ -2684,6 +3606,69 @@ class TaskTerminalApp {
         }
     }
 
+    /**
+     * Format the dependency cell: open prerequisites highlighted, completed ones dimmed
+     */
+    formatDependencies(task, allTasksById) {
+        if (!task.dependsOn || task.dependsOn.length === 0) return '-';
+
+        return task.dependsOn.map(depId => {
+            const prerequisite = allTasksById.get(depId);
+            const isDone = !prerequisite || prerequisite.status === 'Completed';
+            const title = prerequisite ? `#${depId} ${prerequisite.name} (${prerequisite.status})` : `#${depId}`;
+            return `<span class="dependency ${isDone ? 'dependency-done' : 'dependency-open'}" title="${this.escapeHtml(title)}">${depId}</span>`;
+        }).join(' ');
+    }
+
+    /**
+     * Add prerequisites to a task (:depends)
+     */
+    async addDependencies(taskId, prerequisiteIds) {
+        try {
+            const task = await this.taskManager.addDependencies(taskId, prerequisiteIds);
+            const list = prerequisiteIds.map(id => '#' + id).join(', ');
+            const blockedNote = task.status === 'Blocked' ? ' (Blocked)' : '';
+            this.showMessage(`Task #${taskId} now depends on ${list}${blockedNote}`, 'success');
+            await this.render();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Remove prerequisites from a task (:undepend)
+     */
+    async removeDependencies(taskId, prerequisiteIds) {
+        try {
+            await this.taskManager.removeDependencies(taskId, prerequisiteIds);
+            const message = prerequisiteIds.length > 0
+                ? `Task #${taskId} no longer depends on ${prerequisiteIds.map(id => '#' + id).join(', ')}`
+                : `All dependencies removed from task #${taskId}`;
+            this.showMessage(message, 'success');
+            await this.render();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Set or clear a task's recurrence rule (:recur)
+     */
+    async setRecurrence(taskId, rule, until) {
+        try {
+            const task = await this.taskManager.setRecurrence(taskId, rule, until);
+            if (!task.recur) {
+                this.showMessage(`Task #${taskId} no longer repeats`, 'success');
+            } else {
+                const untilText = task.until ? ` until ${this.taskManager.formatDate(task.until)}` : '';
+                this.showMessage(`Task #${taskId} repeats ${task.recur}${untilText}`, 'success');
+            }
+            await this.render();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
     /**
      * Navigation Mode Functions
      */
@@ -2890,56 +3875,7 @@ class TaskTerminalApp {
         // Execute via existing command system
         const result = await this.commandParser.execute(command);
 
-        if (result.success) {
-            // Handle action (same logic as executeCommand)
-            if (result.action === 'prompt_add') {
-                this.showAddTaskModal();
-            } else if (result.action === 'prompt_modify') {
-                this.showModifyTaskModal(result.data.task);
-            } else if (result.action === 'prompt_delete') {
-                this.showDeleteConfirmation(result.data.task);
-            } else if (result.action === 'prompt_bulk_delete') {
-                this.showBulkDeleteConfirmation(result.data.tasks, result.data.notFound);
-            } else if (result.action === 'filter') {
-                this.currentFilters = result.data.filters;
-                this.currentSort = null;
-                await this.render();
-                this.showMessage('Filter applied', 'success');
-            } else if (result.action === 'sort') {
-                this.currentSort = result.data.sortBy;
-                await this.render();
-                this.showMessage('Tasks sorted by priority', 'success');
-            } else if (result.action === 'clear') {
-                this.currentFilters = null;
-                this.currentSort = null;
-                await this.render();
-                this.showMessage('Filters cleared, showing all tasks', 'info');
-            } else if (result.action === 'show_help') {
-                this.showHelp();
-            } else if (result.action === 'show_privacy') {
-                this.showPrivacy();
-            } else if (result.action === 'show_search') {
-                await this.showSearch();
-            } else if (result.action === 'export_data') {
-                await this.exportData();
-            } else if (result.action === 'export_csv') {
-                await this.exportCSV();
-            } else if (result.action === 'import_data') {
-                this.importData();
-            } else if (result.action === 'show_trash') {
-                await this.showTrash();
-            } else if (result.action === 'restore_task') {
-                await this.restoreTask(result.data.taskId);
-            } else if (result.action === 'purge_task') {
-                await this.purgeTask(result.data.taskId);
-            } else if (result.action === 'purge_all') {
-                await this.purgeAll();
-            } else if (result.message) {
-                this.showMessage(result.message, 'info');
-            }
-        } else {
-            this.showMessage(result.message, 'error');
-        }
+        await this.handleCommandResult(result);
     }
 
     navigateUp() {
@@ -3017,8 +3953,8 @@ class TaskTerminalApp {
         const task = this.visibleTasks[this.selectedTaskIndex];
         if (task) {
             try {
-                await this.taskManager.updateTask(task.id, { status: 'Completed' });
-                this.showMessage(`Task #${task.id} marked as completed`, 'success');
+                const updated = await this.taskManager.updateTask(task.id, { status: 'Completed' });
+                this.showMessage(`Task #${task.id} marked as completed${this.getRecurrenceNote(updated)}`, 'success');
                 await this.render();
             } catch (error) {
                 this.showMessage(error.message, 'error');
@@ -3026,6 +3962,60 @@ class TaskTerminalApp {
         }
     }
 
+    /**
+     * Start the timer on the selected task, or stop it if it is already running there
+     */
+    async toggleSelectedTaskTimer() {
+        if (this.visibleTasks.length === 0) return;
+
+        const task = this.visibleTasks[this.selectedTaskIndex];
+        if (!task) return;
+
+        if (this.activeTimerTask && this.activeTimerTask.id === task.id) {
+            await this.stopTimer();
+        } else {
+            await this.startTimer(task.id);
+        }
+    }
+
+    /**
+     * Start timing a task (the selected task when no ID is given)
+     */
+    async startTimer(taskId) {
+        if (taskId === null) {
+            const selected = this.visibleTasks[this.selectedTaskIndex];
+            if (!selected) {
+                this.showMessage('Usage: :start [task_id] (or select a task)', 'error');
+                return;
+            }
+            taskId = selected.id;
+        }
+
+        try {
+            const { stopped } = await this.taskManager.startTimer(taskId);
+            const stoppedText = stopped ? ` (stopped #${stopped.id})` : '';
+            await this.render();
+            this.showMessage(`Timer started on task #${taskId}${stoppedText}`, 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Stop the running timer
+     */
+    async stopTimer() {
+        try {
+            const task = await this.taskManager.stopTimer();
+            const last = task.timeLog[task.timeLog.length - 1];
+            const session = new Date(last.end) - new Date(last.start);
+            await this.render();
+            this.showMessage(`Timer stopped on task #${task.id}: ${this.taskManager.formatDuration(session)} (total ${this.taskManager.formatDuration(this.taskManager.getTrackedTime(task))})`, 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
     async setCriticalPriority() {
         if (this.visibleTasks.length === 0) return;
 
@@ -3042,12 +4032,12 @@ class TaskTerminalApp {
     }
 
     /**
-     * Undo the last action
+     * Undo the last action (or the last `count` actions)
      */
-    async undoAction() {
+    async undoAction(count = 1) {
         try {
-            const action = await this.taskManager.undo();
-            const actionDesc = this.getActionDescription(action);
+            const actions = await this.taskManager.undoSteps(count);
+            const actionDesc = actions.map(a => this.getActionDescription(a)).join('; ');
             this.showMessage(`Undo: ${actionDesc}`, 'success');
             await this.render();
         } catch (error) {
@@ -3056,12 +4046,12 @@ class TaskTerminalApp {
     }
 
     /**
-     * Redo the last undone action
+     * Redo the last undone action (or the last `count` undone actions)
      */
-    async redoAction() {
+    async redoAction(count = 1) {
         try {
-            const action = await this.taskManager.redo();
-            const actionDesc = this.getActionDescription(action);
+            const actions = await this.taskManager.redoSteps(count);
+            const actionDesc = actions.map(a => this.getActionDescription(a)).join('; ');
             this.showMessage(`Redo: ${actionDesc}`, 'success');
             await this.render();
         } catch (error) {
@@ -3069,6 +4059,54 @@ class TaskTerminalApp {
         }
     }
 
+    /**
+     * Show the undo/redo journal
+     */
+    showHistory() {
+        const { undo, redo } = this.taskManager.getHistory();
+
+        if (undo.length === 0 && redo.length === 0) {
+            this.showMessage('No actions in history', 'info');
+            return;
+        }
+
+        this.visibleTasks = [];
+        this.selectedTaskIndex = 0;
+
+        let html = '<div class="terminal-output">';
+        html += '<div class="terminal-output-header">HISTORY - Undo/Redo Journal</div>';
+        html += '<div class="terminal-output-text">';
+        html += `${undo.length} action(s) can be undone (depth ${this.taskManager.maxHistorySize}), ${redo.length} can be redone\n\n`;
+        html += 'Commands:\n';
+        html += '  :undo [n]         - Undo the last n actions\n';
+        html += '  :redo [n]         - Redo the last n undone actions\n';
+        html += '  :history depth N  - Change how many actions are kept\n';
+        html += '  :clear            - Return to main view\n\n';
+
+        html += '<table class="task-table">';
+        html += '<thead><tr>';
+        html += '<th class="col-id">Step</th>';
+        html += '<th class="col-name">Action</th>';
+        html += '<th class="col-deleted">When</th>';
+        html += '</tr></thead><tbody>';
+
+        const addRow = (action, step) => {
+            html += '<tr>';
+            html += `<td class="col-id">${step}</td>`;
+            html += `<td class="col-name">${this.escapeHtml(this.getActionDescription(action))}</td>`;
+            html += `<td class="col-deleted">${action.timestamp ? this.taskManager.dates.format(action.timestamp) : '-'}</td>`;
+            html += '</tr>';
+        };
+
+        redo.forEach((action, index) => addRow(action, `redo ${index + 1}`));
+        undo.forEach((action, index) => addRow(action, index + 1));
+
+        html += '</tbody></table>';
+        html += '</div></div>';
+
+        this.taskTable.innerHTML = html;
+    }
+
     /**
      * Get human-readable description of an action
      */
@@ -3082,11 +4120,430 @@ class TaskTerminalApp {
                 return `Created task #${action.taskId}`;
             case 'restore':
                 return `Restored task #${action.taskId}`;
+            case 'note':
+                return `Added note to task #${action.taskId}`;
+            case 'import':
+                return `Imported ${action.imported.tasks.length} tasks`;
+            case 'merge':
+                return `Merged ${action.added.length} imported tasks`;
+            case 'purge':
+                return action.taskId
+                    ? `Purged task #${action.taskId}`
+                    : `Emptied trash (${action.tasks.length} tasks)`;
+            case 'batch':
+                if (action.label === 'bulk_modify') {
+                    return `Modified ${action.actions.length} tasks`;
+                }
+                if (action.label === 'modify') {
+                    return `Modified task #${action.taskId} (${action.actions.length} changes)`;
+                }
+                if (action.label === 'timer') {
+                    return `Started timer on task #${action.taskId} (stopped another)`;
+                }
+                if (action.label === 'expire') {
+                    return `Expired ${action.actions.length} tasks (past until date)`;
+                }
+                return `${action.actions.length} changes`;
             default:
                 return `Action on task #${action.taskId}`;
         }
     }
 
+    /**
+     * Show current settings (:set)
+     */
+    showSettings() {
+        const { settings, dates } = this.taskManager;
+
+        this.visibleTasks = [];
+        this.selectedTaskIndex = 0;
+
+        let html = '<div class="terminal-output">';
+        html += '<div class="terminal-output-header">SETTINGS</div>';
+        html += '<div class="terminal-output-text">';
+        html += `timezone  ${this.escapeHtml(dates.timeZone)}${settings.timeZone ? '' : ' (browser)'}\n`;
+        html += `locale    ${this.escapeHtml(dates.locale)}${settings.locale ? '' : ' (browser)'}\n`;
+        html += `now       ${this.escapeHtml(dates.formatDateTime(new Date()))}\n`;
+        html += `sort_scheduled  ${settings.sortByScheduled ? 'on' : 'off'} (default sort puts tasks scheduled later after ready ones)\n\n`;
+        html += 'Urgency coefficients (:sort urgency, :next):\n';
+        Object.entries(settings.urgency).forEach(([name, value]) => {
+            const changed = value !== this.taskManager.defaultSettings.urgency[name] ? ' (changed)' : '';
+            html += `  urgency.${name.padEnd(11)} ${value}${changed}\n`;
+        });
+        html += '\n';
+        html += 'Commands:\n';
+        html += '  :set timezone Europe/London  - Show and enter dates in another timezone\n';
+        html += '  :set locale en-GB            - Change date formatting\n';
+        html += '  :set timezone auto           - Follow the browser again\n';
+        html += '  :set sort_scheduled off      - Ignore scheduled dates in the default sort\n';
+        html += '  :set urgency.due 15          - Change an urgency coefficient (default restores it)\n';
+        html += '  :clear                       - Return to main view\n';
+        html += '</div></div>';
+
+        this.taskTable.innerHTML = html;
+    }
+
+    /**
+     * Apply setting changes from :set and redraw dates
+     */
+    async updateSettings(changes) {
+        try {
+            await this.taskManager.updateSettings(changes);
+            const { timeZone, locale } = this.taskManager.dates;
+            if ('urgency' in changes) {
+                const [name] = Object.keys(changes.urgency);
+                this.showMessage(`Urgency coefficient ${name} set to ${this.taskManager.settings.urgency[name]}`, 'success');
+            } else {
+                this.showMessage('sortByScheduled' in changes
+                    ? `Scheduled dates ${changes.sortByScheduled ? 'now' : 'no longer'} affect the default sort`
+                    : `Dates now shown in ${timeZone} (${locale})`, 'success');
+            }
+            await this.render();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Show the change history of a single task (:log)
+     */
+    async showTaskLog(taskId) {
+        const task = await this.taskManager.getTaskById(taskId);
+        const entries = await this.taskManager.getTaskChangelog(taskId);
+
+        this.visibleTasks = [];
+        this.selectedTaskIndex = 0;
+
+        let html = '<div class="terminal-output">';
+        html += `<div class="terminal-output-header">LOG - Task #${taskId}: ${this.escapeHtml(task.name)}${task.deleted ? ' (in trash)' : ''}</div>`;
+        html += '<div class="terminal-output-text">';
+        html += `${entries.length} change(s) recorded\n\n`;
+        html += 'Commands:\n';
+        html += '  :M [id]           - Modify the task (History tab shows this log)\n';
+        html += '  :clear            - Return to main view\n\n';
+        html += this.buildChangelogHtml(entries);
+        html += '</div></div>';
+
+        this.taskTable.innerHTML = html;
+    }
+
+    /**
+     * Render changelog entries as a timeline table (newest first)
+     */
+    buildChangelogHtml(entries) {
+        if (entries.length === 0) {
+            return '<div class="task-log-empty">No changes recorded for this task yet</div>';
+        }
+
+        let html = '<table class="task-table task-log">';
+        html += '<thead><tr>';
+        html += '<th class="col-deleted">When</th>';
+        html += '<th class="col-name">Change</th>';
+        html += '</tr></thead><tbody>';
+
+        [...entries].reverse().forEach(entry => {
+            const lines = this.describeChangelogEntry(entry)
+                .map(line => this.escapeHtml(line))
+                .join('<br>');
+            html += `<tr class="task-log-${entry.event}">`;
+            html += `<td class="col-deleted">${this.taskManager.dates.format(entry.timestamp)}</td>`;
+            html += `<td class="col-name">${lines}</td>`;
+            html += '</tr>';
+        });
+
+        html += '</tbody></table>';
+        return html;
+    }
+
+    /**
+     * Describe a changelog entry as one line per change
+     */
+    describeChangelogEntry(entry) {
+        const sources = {
+            cascade: ' (auto: parent/child completion)',
+            dependency: ' (auto: prerequisite changed)',
+            undo: ' (undo)',
+            redo: ' (redo)'
+        };
+        const suffix = sources[entry.source] || '';
+
+        switch (entry.event) {
+            case 'created':
+                return [`Created${suffix}`];
+            case 'deleted':
+                return [`Moved to trash${suffix}`];
+            case 'restored':
+                return [`Restored from trash${suffix}`];
+            case 'note':
+                return [`${entry.removed ? 'Note removed' : 'Note added'}${suffix}: ${entry.note}`];
+            case 'modified':
+                return entry.changes.map(change =>
+                    `${this.getChangelogFieldLabel(change.field)}: ` +
+                    `${this.formatChangelogValue(change.field, change.from)} → ` +
+                    `${this.formatChangelogValue(change.field, change.to)}${suffix}`);
+            default:
+                return [entry.event];
+        }
+    }
+
+    /**
+     * Short label for a changed field in changelog lines (e.g. dueDate -> due)
+     */
+    getChangelogFieldLabel(field) {
+        const labels = {
+            dueDate: 'due',
+            parentTaskId: 'parent',
+            dependsOn: 'depends',
+            nextInstanceId: 'next instance',
+            timeLog: 'time'
+        };
+        return labels[field] || field;
+    }
+
+    /**
+     * Format a field value for the changelog
+     */
+    formatChangelogValue(field, value) {
+        if (value === null || value === undefined || value === '') {
+            return 'none';
+        }
+
+        switch (field) {
+            case 'dueDate':
+            case 'scheduled':
+            case 'wait':
+            case 'until':
+                return this.taskManager.dates.formatDateTime(value);
+            case 'parentTaskId':
+            case 'nextInstanceId':
+                return `#${value}`;
+            case 'tags':
+                return value.length > 0 ? value.map(tag => `+${tag}`).join(' ') : 'none';
+            case 'dependsOn':
+                return value.length > 0 ? value.map(id => `#${id}`).join(', ') : 'none';
+            case 'notes':
+                return `${value.length} note(s)`;
+            case 'estimate':
+                return this.taskManager.formatEstimate(value);
+            case 'timeLog': {
+                const running = value.some(entry => !entry.end) ? ', running' : '';
+                return `${this.taskManager.formatDuration(this.taskManager.getTrackedTime({ timeLog: value }))}${running}`;
+            }
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * Move tasks whose until date has passed to the trash
+     */
+    async expireTasks(rerender = true) {
+        try {
+            const expired = await this.taskManager.expireTasks();
+            if (expired.length > 0) {
+                this.showMessage(`${expired.length} task(s) past their until date moved to trash (press U to undo)`, 'info');
+                if (rerender) {
+                    await this.render();
+                }
+            }
+        } catch (error) {
+            console.error('Expiry check failed:', error);
+        }
+    }
+
+    /**
+     * Show the project report (:projects); Enter or a click on a row filters by that project
+     */
+    async showProjects() {
+        try {
+            const tasks = await this.taskManager.getAllTasks();
+            const summaries = this.taskManager.getProjectSummaries(tasks);
+
+            if (summaries.length === 0) {
+                this.showMessage('No tasks yet', 'info');
+                return;
+            }
+
+            this.visibleTasks = [];
+            this.selectedTaskIndex = 0;
+            this.projectReport = summaries;
+
+            const statusColumns = [
+                ['Not Started', 'N'],
+                ['In Progress', 'I'],
+                ['Blocked', 'B'],
+                ['Completed', 'C']
+            ];
+
+            let html = '<div class="terminal-output project-report">';
+            html += `<div class="terminal-output-header">PROJECTS - ${summaries.length} project(s), ${tasks.length} task(s)</div>`;
+            html += '<div class="terminal-output-text">';
+            html += 'N/I/B/C = Not Started / In Progress / Blocked / Completed. Remaining adds up the estimates of open tasks.\n';
+            html += 'Dotted projects (Client.Website) form a tree; each row includes its subprojects.\n\n';
+            html += 'Commands:\n';
+            html += '  ↑/↓ + Enter or click    - Show the selected project\n';
+            html += '  :Filter_Project="Name"  - Show a project and its subprojects (== for the project only)\n';
+            html += '  :clear                  - Return to main view\n\n';
+
+            html += '<table class="task-table">';
+            html += '<thead><tr>';
+            html += '<th class="col-project">Project</th>';
+            statusColumns.forEach(([status, short]) => {
+                html += `<th class="col-count" title="${status}">${short}</th>`;
+            });
+            html += '<th class="col-progress">Complete</th>';
+            html += '<th class="col-count">Overdue</th>';
+            html += '<th class="col-due">Next Due</th>';
+            html += '<th class="col-name">Most Urgent</th>';
+            html += '<th class="col-estimate">Remaining</th>';
+            html += '</tr></thead><tbody>';
+
+            summaries.forEach((summary, index) => {
+                // Subprojects are indented under their parent and show only their last segment
+                const name = summary.project
+                    ? `<span class="project-tree-indent">${'&nbsp;&nbsp;'.repeat(summary.depth)}${summary.depth > 0 ? '└ ' : ''}</span><span title="${this.escapeHtml(summary.project)}">${this.escapeHtml(summary.name)}</span>`
+                    : '(no project)';
+                const nextDue = summary.nextDue
+                    ? `#${summary.nextDue.id} ${this.taskManager.formatDate(summary.nextDue.dueDate)}`
+                    : '-';
+                const mostUrgent = summary.mostUrgent
+                    ? `#${summary.mostUrgent.id} ${this.escapeHtml(summary.mostUrgent.name)}`
+                    : '-';
+
+                html += `<tr class="project-row" data-project-index="${index}">`;
+                html += `<td class="col-project">${name}</td>`;
+                statusColumns.forEach(([status]) => {
+                    html += `<td class="col-count">${summary.byStatus[status] || 0}</td>`;
+                });
+                html += `<td class="col-progress"><span class="progress-bar"><span class="progress-fill" style="width: ${summary.percentComplete}%"></span></span>${summary.percentComplete}%</td>`;
+                html += `<td class="col-count${summary.overdue > 0 ? ' overdue' : ''}">${summary.overdue}</td>`;
+                html += `<td class="col-due">${nextDue}</td>`;
+                html += `<td class="col-name">${mostUrgent}</td>`;
+                html += `<td class="col-estimate">${this.taskManager.formatEffort(summary.remaining) || '-'}</td>`;
+                html += '</tr>';
+            });
+
+            html += '</tbody></table>';
+            html += '</div></div>';
+
+            this.taskTable.innerHTML = html;
+
+            this.taskTable.querySelectorAll('.project-row').forEach(row => {
+                row.addEventListener('click', () => {
+                    this.selectedTaskIndex = parseInt(row.dataset.projectIndex);
+                    this.updateSelectedTaskUI();
+                    this.applyProjectFilter(this.projectReport[this.selectedTaskIndex].project);
+                });
+            });
+            this.updateSelectedTaskUI();
+        } catch (error) {
+            this.showMessage('Failed to build project report: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Arrow keys and Enter while the project report is shown. Returns true if the key was handled.
+     */
+    handleProjectReportKeydown(e) {
+        if (!this.projectReport || !this.taskTable.querySelector('.project-report')) {
+            this.projectReport = null;
+            return false;
+        }
+
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            const step = e.key === 'ArrowUp' ? -1 : 1;
+            this.selectedTaskIndex = Math.min(this.projectReport.length - 1, Math.max(0, this.selectedTaskIndex + step));
+            this.updateSelectedTaskUI();
+            return true;
+        }
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            const summary = this.projectReport[this.selectedTaskIndex];
+            if (summary) {
+                this.applyProjectFilter(summary.project);
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Filter the task list to one project (null = tasks without a project)
+     */
+    async applyProjectFilter(project) {
+        const name = project || '';
+        const quoted = name.includes('"') ? `'${name}'` : `"${name}"`;
+        this.projectReport = null;
+        this.selectedTaskIndex = 0;
+
+        const result = await this.commandParser.execute(`:Filter_Project=${quoted}`);
+        await this.handleCommandResult(result);
+    }
+
+    /**
+     * Show the most urgent tasks that can be worked on now (:next)
+     */
+    async showNext(limit) {
+        try {
+            const allTasks = await this.taskManager.getAllTasks();
+            const next = this.taskManager.getNextTasks(allTasks, limit);
+
+            if (next.length === 0) {
+                this.showMessage('Nothing to do right now - no open, unblocked tasks', 'info');
+                return;
+            }
+
+            this.visibleTasks = next.map(entry => entry.task);
+            this.selectedTaskIndex = 0;
+
+            let html = '<div class="terminal-output">';
+            html += `<div class="terminal-output-header">NEXT - ${next.length} most urgent task(s)</div>`;
+            html += '<div class="terminal-output-text">';
+            html += 'Open tasks without open subtasks or prerequisites, not waiting or scheduled later.\n\n';
+            html += 'Commands:\n';
+            html += '  :next N          - Show the top N tasks\n';
+            html += '  :sort urgency    - Sort the full list by urgency\n';
+            html += '  :clear           - Return to main view\n\n';
+
+            html += '<table class="task-table">';
+            html += '<thead><tr>';
+            html += '<th class="col-id">ID</th>';
+            html += '<th class="col-urgency">Urgency</th>';
+            html += '<th class="col-name">Name</th>';
+            html += '<th class="col-due">Due Date</th>';
+            html += '<th class="col-status">Status</th>';
+            html += '<th class="col-priority">Priority</th>';
+            html += '<th class="col-project">Project</th>';
+            html += '</tr></thead><tbody>';
+
+            next.forEach(({ task, urgency }) => {
+                const isOverdue = this.taskManager.isTaskOverdue(task);
+                const statusClass = `status-badge status-${task.status.toLowerCase().replace(' ', '-')}`;
+                const priorityClass = task.priority ? `priority-badge priority-${task.priority.toLowerCase()}` : 'priority-badge priority-none';
+
+                html += `<tr class="${isOverdue ? 'overdue' : ''}" data-task-id="${task.id}">`;
+                html += `<td class="col-id">${task.id}</td>`;
+                html += `<td class="col-urgency">${urgency.toFixed(1)}</td>`;
+                html += `<td class="col-name">${this.escapeHtml(task.name)}</td>`;
+                html += `<td class="col-due due-date ${isOverdue ? 'overdue' : ''}">${this.taskManager.formatDate(task.dueDate)}</td>`;
+                html += `<td class="col-status"><span class="${statusClass}">${task.status}</span></td>`;
+                html += `<td class="col-priority"><span class="${priorityClass}">${task.priority || '-'}</span></td>`;
+                html += `<td class="col-project">${this.escapeHtml(task.project || '-')}</td>`;
+                html += '</tr>';
+            });
+
+            html += '</tbody></table>';
+            html += '</div></div>';
+
+            this.taskTable.innerHTML = html;
+            this.attachTableEventHandlers();
+            this.updateSelectedTaskUI();
+        } catch (error) {
+            this.showMessage('Failed to build next list: ' + error.message, 'error');
+        }
+    }
+
     /**
      * Show trash (deleted tasks)
      */
@@ -3110,7 +4567,7 @@ class TaskTerminalApp {
             html += 'Commands:\n';
             html += '  :restore [id] - Restore a task from trash\n';
             html += '  :purge [id]   - Permanently delete a task\n';
-            html += '  :purge all    - Empty trash (permanent)\n';
+            html += '  :purge all    - Empty trash (undo with U)\n';
             html += '  :clear        - Return to main view\n\n';
 
             // Build trash table
@@ -3167,7 +4624,7 @@ class TaskTerminalApp {
         let confirmHtml = `
             <div class="confirm-dialog">
                 <p class="confirm-dialog-text warning">
-                    ⚠️ WARNING: This action cannot be undone!
+                    ⚠️ WARNING: The task will be removed from trash (press U to undo)
                 </p>
                 <p class="confirm-dialog-text">
                     Are you sure you want to permanently delete task #${taskId}?
@@ -3217,7 +4674,7 @@ class TaskTerminalApp {
         let confirmHtml = `
             <div class="confirm-dialog">
                 <p class="confirm-dialog-text warning">
-                    ⚠️ WARNING: This action cannot be undone!
+                    ⚠️ WARNING: All tasks will be removed from trash (press U to undo)
                 </p>
                 <p class="confirm-dialog-text">
                     Are you sure you want to permanently delete all ${deletedTasks.length} task(s) in trash?
@@ -3237,11 +4694,7 @@ class TaskTerminalApp {
 
         deleteBtn.addEventListener('click', async () => {
             try {
-                let purged = 0;
-                for (const task of deletedTasks) {
-                    await this.taskManager.purgeTask(task.id);
-                    purged++;
-                }
+                const purged = await this.taskManager.purgeAll();
                 this.showMessage(`Permanently deleted ${purged} task(s)`, 'success');
                 await this.render();
                 this.closeModal();
@@ -3257,17 +4710,36 @@ class TaskTerminalApp {
 
     /**
      * Export all tasks to JSON file
+     * @param {string} format - 'json' (Silverlake backup), 'taskwarrior' (for `task import`) or 'todotxt'
      */
-    async exportData() {
+    async exportData(format = 'json') {
         try {
-            const data = await this.taskManager.exportData();
-
             // Create filename with timestamp
             const timestamp = new Date().toISOString().split('T')[0];
-            const filename = `silverlake-backup-${timestamp}.json`;
+
+            let content;
+            let filename;
+            let count;
+            if (format === 'taskwarrior') {
+                // Taskwarrior reads a bare array of tasks
+                const records = await this.taskManager.exportTaskwarrior();
+                content = JSON.stringify(records, null, 2);
+                filename = `silverlake-taskwarrior-${timestamp}.json`;
+                count = records.length;
+            } else if (format === 'todotxt') {
+                content = await this.taskManager.exportTodoTxt();
+                filename = `todo-${timestamp}.txt`;
+                count = content.split('\n').filter(line => line !== '').length;
+            } else {
+                const data = await this.taskManager.exportData();
+                content = JSON.stringify(data, null, 2);
+                filename = `silverlake-backup-${timestamp}.json`;
+                count = data.tasks.length;
+            }
 
             // Create download link
-            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const type = format === 'todotxt' ? 'text/plain' : 'application/json';
+            const blob = new Blob([content], { type });
             const url = URL.createObjectURL(blob);
             const link = document.createElement('a');
             link.href = url;
@@ -3279,7 +4751,7 @@ class TaskTerminalApp {
             document.body.removeChild(link);
             URL.revokeObjectURL(url);
 
-            this.showMessage(`Exported ${data.tasks.length} tasks to ${filename}`, 'success');
+            this.showMessage(`Exported ${count} tasks to ${filename}`, 'success');
         } catch (error) {
             this.showMessage('Export failed: ' + error.message, 'error');
         }
@@ -3293,7 +4765,11 @@ class TaskTerminalApp {
             const tasks = await this.taskManager.getAllTasks();
 
             // CSV headers
-            const headers = ['ID', 'Name', 'Status', 'Priority', 'Project', 'Due Date', 'Parent Task ID', 'Notes'];
+            const headers = ['ID', 'Name', 'Status', 'Priority', 'Project', 'Tags', 'Due Date', 'Scheduled', 'Wait', 'Until', 'Parent Task ID', 'Estimate', 'Hours Tracked', 'Hours Incl. Subtasks', 'Notes'];
+            // YYYY-MM-DD HH:MM, which :import csv (and due: etc.) read back
+            const formatOptional = date => date ? `"${this.taskManager.dates.formatInput(date)}"` : '';
+            const tasksById = new Map(tasks.map(t => [t.id, t]));
+            const hours = ms => (ms / 3600000).toFixed(2);
 
             // Build CSV content
             let csvContent = headers.join(',') + '\n';
@@ -3305,8 +4781,15 @@ class TaskTerminalApp {
                     `"${task.status}"`,
                     task.priority ? `"${task.priority}"` : '""',
                     task.project ? `"${this.escapeCSV(task.project)}"` : '',
-                    task.dueDate ? `"${this.taskManager.formatDate(task.dueDate)}"` : '',
+                    task.tags && task.tags.length > 0 ? `"${this.escapeCSV(task.tags.join(' '))}"` : '',
+                    formatOptional(task.dueDate),
+                    formatOptional(task.scheduled),
+                    formatOptional(task.wait),
+                    formatOptional(task.until),
                     task.parentTaskId !== null ? task.parentTaskId : '',
+                    task.estimate ? `"${this.taskManager.formatEstimate(task.estimate)}"` : '',
+                    hours(this.taskManager.getTrackedTime(task)),
+                    hours(this.taskManager.getTrackedTimeWithChildren(task, tasksById)),
                     task.notes.length > 0 ? `"${this.escapeCSV(task.notes.map(n => n.content).join(' | '))}"` : ''
                 ];
                 csvContent += row.join(',') + '\n';
@@ -3345,12 +4828,15 @@ class TaskTerminalApp {
 
     /**
      * Import tasks from JSON file
+     * @param {string} mode - 'replace' (default) swaps in the backup; 'merge' previews adding it to the current tasks
+     * @param {string} format - 'json' (Silverlake backup), 'taskwarrior' (`task export` output), 'todotxt'
+     *                          or 'csv' (mapped column by column first); all but json are always merged
      */
-    importData() {
+    importData(mode = 'replace', format = 'json') {
         // Create file input
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.json';
+        input.accept = { taskwarrior: '.json,.txt', todotxt: '.txt', csv: '.csv,.txt' }[format] || '.json';
 
         input.onchange = async (e) => {
             const file = e.target.files[0];
@@ -3358,15 +4844,35 @@ class TaskTerminalApp {
 
             try {
                 const text = await file.text();
-                const data = JSON.parse(text);
+                if (format === 'csv') {
+                    this.showCsvMapping(this.csvFormat.parse(text), file.name);
+                    return;
+                }
 
-                // Validate data structure
-                if (!data.tasks || !Array.isArray(data.tasks)) {
-                    throw new Error('Invalid backup file format');
+                let data;
+                if (format === 'taskwarrior') {
+                    data = this.taskManager.readTaskwarrior(text);
+                } else if (format === 'todotxt') {
+                    data = this.taskManager.readTodoTxt(text);
+                } else {
+                    let parsed;
+                    try {
+                        parsed = JSON.parse(text);
+                    } catch (error) {
+                        throw new Error(`${file.name} is not valid JSON (${error.message})`);
+                    }
+
+                    // Upgrade older formats and validate every task before anything is written
+                    data = this.taskManager.readBackup(parsed);
+                }
+
+                if (mode === 'merge') {
+                    await this.showMergePreview(data, file.name);
+                    return;
                 }
 
                 // Confirm before importing (will clear existing data)
-                const confirmMessage = `This will replace all existing tasks with ${data.tasks.length} tasks from the backup. Continue?`;
+                const confirmMessage = `This will replace all existing tasks with ${data.tasks.length} tasks from the backup (undo with U). Continue?`;
 
                 if (confirm(confirmMessage)) {
                     await this.taskManager.importData(data);
@@ -3374,7 +4880,11 @@ class TaskTerminalApp {
                     this.showMessage(`Imported ${data.tasks.length} tasks successfully`, 'success');
                 }
             } catch (error) {
-                this.showMessage('Import failed: ' + error.message, 'error');
+                if (error.problems) {
+                    this.showImportProblems(file.name, error.problems);
+                } else {
+                    this.showMessage('Import failed: ' + error.message, 'error');
+                }
             }
         };
 
@@ -3382,6 +4892,260 @@ class TaskTerminalApp {
         input.click();
     }
 
+    /**
+     * List every problem found in a backup that failed validation
+     */
+    showImportProblems(fileName, problems) {
+        const backupFormat = this.taskManager.backupFormat;
+        const shown = problems.slice(0, 100);
+
+        this.modalHeader.textContent = `Cannot Import ${fileName}`;
+        this.modalBody.dataset.action = 'import_problems';
+        this.modalBody.innerHTML = `
+            <div class="confirm-dialog">
+                <p class="confirm-dialog-text">
+                    Nothing was imported. Fix these ${problems.length} problem(s) in the file and try again:
+                </p>
+                <div class="bulk-delete-list import-problems">
+                    ${shown.map(problem => `<div class="bulk-delete-item">${this.escapeHtml(backupFormat.describeProblem(problem))}</div>`).join('')}
+                    ${problems.length > shown.length ? `<div class="bulk-delete-item">... and ${problems.length - shown.length} more</div>` : ''}
+                </div>
+            </div>
+        `;
+        this.showModal();
+
+        // Nothing to submit
+        this.modalSubmit.style.display = 'none';
+    }
+
+    /**
+     * CSV import, first step: assign each column to a task field
+     * A dry run of the conversion and merge is shown as the mapping changes; nothing is written
+     * until the merge preview that follows is confirmed.
+     */
+    showCsvMapping(rows, fileName) {
+        if (rows.length === 0) {
+            throw new Error(`${fileName} has no rows`);
+        }
+
+        const csv = this.csvFormat;
+        const columnCount = Math.max(...rows.map(row => row.length));
+        let mapping = csv.guessMapping(rows[0]);
+        while (mapping.length < columnCount) mapping.push(null);
+        // A first row that names known fields is a header
+        let hasHeader = mapping.some(field => field !== null);
+        let dryRun = null; // { data } of the latest dry run when it can be imported
+        let dryRunToken = 0;
+
+        this.modalHeader.textContent = `Import CSV: ${fileName}`;
+        this.modalBody.dataset.action = 'import_csv';
+
+        const updateDryRun = async () => {
+            const token = ++dryRunToken;
+            const summary = document.getElementById('csvDryRun');
+            const continueBtn = document.getElementById('csvContinue');
+            dryRun = null;
+            continueBtn.disabled = true;
+
+            const repeated = Object.keys(csv.fields).filter(field => mapping.filter(f => f === field).length > 1);
+            if (!mapping.includes('name')) {
+                summary.innerHTML = '<p class="confirm-dialog-text warning">Choose the column that holds the task names.</p>';
+                return;
+            }
+            if (repeated.length > 0) {
+                summary.innerHTML = `<p class="confirm-dialog-text warning">${repeated.map(field => csv.fields[field]).join(', ')} is chosen for more than one column.</p>`;
+                return;
+            }
+
+            const result = csv.toBackup(rows, mapping, { hasHeader, formatVersion: this.taskManager.backupFormat.currentVersion });
+            let html;
+            let data = null;
+            try {
+                data = this.taskManager.readBackup(result.data);
+                const plan = await this.taskManager.planMerge(data);
+                html = `
+                    <p class="confirm-dialog-text">
+                        Dry run: ${result.rowCount} row(s) read, ${data.tasks.length} task(s) ready
+                        (${plan.added.length} new, ${plan.skipped.length} already here, ${plan.conflicts.length} conflicting),
+                        ${result.skipped.length} row(s) skipped, ${result.warnings.length} warning(s).
+                    </p>
+                `;
+            } catch (error) {
+                const problems = error.problems
+                    ? error.problems.map(problem => this.taskManager.backupFormat.describeProblem(problem))
+                    : [error.message];
+                data = null;
+                html = `
+                    <p class="confirm-dialog-text warning">These rows can't be imported as mapped:</p>
+                    <div class="bulk-delete-list">
+                        ${problems.slice(0, 20).map(problem => `<div class="bulk-delete-item">${this.escapeHtml(problem)}</div>`).join('')}
+                    </div>
+                `;
+            }
+            if (token !== dryRunToken) return; // The mapping changed while this ran
+
+            const notices = [
+                ...result.skipped.map(({ row, reason }) => `Row ${row}: skipped (${reason})`),
+                ...result.warnings.map(({ row, field, message }) => `Row ${row}, ${csv.fields[field]}: ${message}`)
+            ];
+            if (notices.length > 0) {
+                html += `
+                    <div class="bulk-delete-list">
+                        ${notices.slice(0, 20).map(notice => `<div class="bulk-delete-item">${this.escapeHtml(notice)}</div>`).join('')}
+                        ${notices.length > 20 ? `<div class="bulk-delete-item">... and ${notices.length - 20} more</div>` : ''}
+                    </div>
+                `;
+            }
+
+            summary.innerHTML = html;
+            dryRun = data ? { data } : null;
+            continueBtn.disabled = !dryRun;
+        };
+
+        const render = () => {
+            const dataRows = hasHeader ? rows.slice(1) : rows;
+            const options = selected => `<option value="">(ignore)</option>` + Object.entries(csv.fields)
+                .map(([field, label]) => `<option value="${field}" ${field === selected ? 'selected' : ''}>${label}</option>`)
+                .join('');
+
+            let tableRows = '';
+            for (let column = 0; column < columnCount; column++) {
+                const label = hasHeader && (rows[0][column] || '').trim() !== '' ? rows[0][column] : `Column ${column + 1}`;
+                const samples = dataRows.slice(0, 3).map(row => (row[column] || '').replace(/\s+/g, ' ').trim()).filter(Boolean);
+                tableRows += `
+                    <tr>
+                        <td>${this.escapeHtml(label)}</td>
+                        <td class="csv-sample">${this.escapeHtml(samples.join(' · ')) || '-'}</td>
+                        <td><select class="form-select csv-field" data-column="${column}">${options(mapping[column])}</select></td>
+                    </tr>
+                `;
+            }
+
+            this.modalBody.innerHTML = `
+                <div class="confirm-dialog csv-mapping">
+                    <p class="confirm-dialog-text">
+                        Choose the task field for each column. Status and priority accept full names or n/i/b/c and l/m/h/c;
+                        Parent matches another row's ID column or name.
+                    </p>
+                    <label class="merge-option">
+                        <input type="checkbox" id="csvHasHeader" ${hasHeader ? 'checked' : ''}>
+                        First row is a header
+                    </label>
+                    <table class="task-table csv-mapping-table">
+                        <thead><tr><th>Column</th><th>Sample</th><th>Field</th></tr></thead>
+                        <tbody>${tableRows}</tbody>
+                    </table>
+                    <div id="csvDryRun" class="csv-dry-run"></div>
+                    <button class="confirm-option-btn" id="csvContinue" disabled>Continue to preview</button>
+                </div>
+            `;
+
+            this.modalBody.querySelectorAll('.csv-field').forEach(select => {
+                select.addEventListener('change', () => {
+                    mapping[parseInt(select.dataset.column)] = select.value || null;
+                    updateDryRun();
+                });
+            });
+            document.getElementById('csvHasHeader').addEventListener('change', (e) => {
+                hasHeader = e.target.checked;
+                render();
+            });
+            document.getElementById('csvContinue').addEventListener('click', async () => {
+                if (!dryRun) return;
+                try {
+                    await this.showMergePreview(dryRun.data, fileName);
+                } catch (error) {
+                    this.showMessage('Import failed: ' + error.message, 'error');
+                }
+            });
+
+            updateDryRun();
+        };
+
+        render();
+        this.showModal();
+
+        // Hide default submit button
+        this.modalSubmit.style.display = 'none';
+    }
+
+    /**
+     * Preview a merge import (added / skipped / conflicting) and commit it on confirmation
+     */
+    async showMergePreview(data, fileName) {
+        const plan = await this.taskManager.planMerge(data);
+        const listItems = (items, describe) => {
+            const shown = items.slice(0, 10).map(item => `<div class="bulk-delete-item">${describe(item)}</div>`).join('');
+            const more = items.length > 10 ? `<div class="bulk-delete-item">... and ${items.length - 10} more</div>` : '';
+            return `<div class="bulk-delete-list">${shown}${more}</div>`;
+        };
+
+        this.modalHeader.textContent = `Merge ${data.tasks.length} Tasks from ${fileName}`;
+
+        let html = `
+            <div class="confirm-dialog merge-preview">
+                <p class="confirm-dialog-text">
+                    ${plan.added.length} to add, ${plan.skipped.length} duplicate(s) to skip, ${plan.conflicts.length} conflict(s). Your existing tasks are kept.
+                </p>
+        `;
+
+        if (plan.added.length > 0) {
+            html += '<div class="merge-section-title">Added (with new IDs)</div>';
+            html += listItems(plan.added, task => `#${task.id}: ${this.escapeHtml(task.name)}`);
+        }
+        if (plan.detached.length > 0) {
+            html += '<div class="merge-section-title">Added without their parent - would be nested more than 3 levels deep</div>';
+            html += listItems(plan.detached, ({ task, parentId }) =>
+                `#${task.id}: ${this.escapeHtml(task.name)} (not under #${parentId})`);
+        }
+        if (plan.skipped.length > 0) {
+            html += '<div class="merge-section-title">Skipped - already here</div>';
+            html += listItems(plan.skipped, ({ incoming, existing }) =>
+                `${this.escapeHtml(incoming.name)} (same as #${existing.id})`);
+        }
+        if (plan.conflicts.length > 0) {
+            html += '<div class="merge-section-title">Conflicting - same name, project and due day, different details</div>';
+            html += listItems(plan.conflicts, ({ incoming, existing, differences }) =>
+                `${this.escapeHtml(incoming.name)} (vs #${existing.id}: ${differences.join(', ')})`);
+            html += `
+                <label class="merge-option">
+                    <input type="checkbox" id="mergeIncludeConflicts">
+                    Also add conflicting tasks as separate copies
+                </label>
+            `;
+        }
+
+        html += `
+                <button class="confirm-option-btn" data-action="merge">
+                    Merge (undo with U)
+                </button>
+            </div>
+        `;
+
+        this.modalBody.innerHTML = html;
+        this.modalBody.dataset.action = 'import_merge';
+        this.showModal();
+
+        // Hide default submit button
+        this.modalSubmit.style.display = 'none';
+
+        const mergeBtn = this.modalBody.querySelector('.confirm-option-btn');
+        mergeBtn.addEventListener('click', async () => {
+            try {
+                const checkbox = document.getElementById('mergeIncludeConflicts');
+                const includeConflicts = Boolean(checkbox && checkbox.checked);
+                const merged = await this.taskManager.commitMerge(data, { includeConflicts });
+                this.closeModal();
+                await this.render();
+                this.showMessage(`Merged ${merged.added.length} task(s), skipped ${data.tasks.length - merged.added.length}`, 'success');
+            } catch (error) {
+                this.showMessage('Merge failed: ' + error.message, 'error');
+            }
+        });
+
+        setTimeout(() => mergeBtn.focus(), 100);
+    }
+
     /**
      * Show notes viewer modal
      */
@@ -3412,15 +5176,7 @@ class TaskTerminalApp {
             );
 
             sortedNotes.forEach((note, index) => {
-                const date = new Date(note.timestamp);
-                const formattedDate = date.toLocaleString('en-AU', {
-                    timeZone: 'Australia/Sydney',
-                    year: 'numeric',
-                    month: 'short',
-                    day: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit'
-                });
+                const formattedDate = this.taskManager.dates.formatDateTime(note.timestamp);
 
                 notesHtml += `
                     <div class="note-item">
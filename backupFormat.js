@@ -0,0 +1,438 @@
+/**
+ * BackupFormat - Versions, upgrades and validates JSON backups
+ *
+ * Backups written by exportData carry a formatVersion. Files from before versioning are
+ * version 1 and are upgraded step by step (1 -> 2 -> ...) before validation, so the
+ * validator only ever checks the current format.
+ *
+ * Validation collects every problem instead of stopping at the first one. Each problem is
+ * { index, taskId, taskName, field, message }; index is the task's position in the file
+ * (null for problems with the file itself).
+ */
+
+class BackupFormat {
+    /**
+     * @param {Object} options
+     * @param {Function} [options.parseRecurrence] - rule => canonical rule; throws on an invalid rule
+     * @param {Function} [options.parseEstimate] - estimate => { value, unit }; throws on an invalid estimate
+     * @param {Function} [options.generateUuid] - () => new task UUID, used when upgrading older backups
+     */
+    constructor(options = {}) {
+        this.parseRecurrence = options.parseRecurrence || null;
+        this.parseEstimate = options.parseEstimate || null;
+        this.generateUuid = options.generateUuid || null;
+
+        this.currentVersion = 3;
+
+        // upgrades[n] turns a version n backup into version n + 1
+        this.upgrades = {
+            1: data => this.upgradeFromV1(data),
+            2: data => this.upgradeFromV2(data)
+        };
+
+        this.statuses = ['Not Started', 'In Progress', 'Blocked', 'Completed'];
+        this.priorities = ['Critical', 'High', 'Medium', 'Low'];
+        this.maxDepth = 3; // grandparent -> parent -> child
+
+        // Optional task fields and the value a task gets when they are absent
+        this.taskDefaults = {
+            project: null,
+            dueDate: null,
+            tags: [],
+            notes: [],
+            parentTaskId: null,
+            childTaskIds: [],
+            dependsOn: [],
+            recur: null,
+            scheduled: null,
+            wait: null,
+            until: null,
+            createdAt: null,
+            timeLog: [],
+            estimate: null,
+            nextInstanceId: null,
+            deleted: false,
+            deletedAt: null
+        };
+
+        // Field -> check returning an error message, or null when the value is valid
+        const isId = value => Number.isInteger(value) && value > 0;
+        const optionalDate = value => (value === null || this.isDate(value) ? null : 'must be null or an ISO date');
+        const idList = value => (Array.isArray(value) && value.every(isId) ? null : 'must be a list of task IDs');
+
+        this.taskFields = {
+            id: value => (isId(value) ? null : 'must be a positive whole number'),
+            name: value => (typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string'),
+            status: value => (this.statuses.includes(value) ? null : `must be one of ${this.statuses.join(', ')}`),
+            priority: value => (this.priorities.includes(value) ? null : `must be one of ${this.priorities.join(', ')}`),
+            project: value => (value === null || (typeof value === 'string' && value.trim() !== '') ? null : 'must be null or a non-empty string'),
+            dueDate: optionalDate,
+            scheduled: optionalDate,
+            wait: optionalDate,
+            until: optionalDate,
+            createdAt: optionalDate,
+            deletedAt: optionalDate,
+            deleted: value => (typeof value === 'boolean' ? null : 'must be true or false'),
+            tags: value => (Array.isArray(value) && value.every(tag => typeof tag === 'string' && /^[^\s,"']+$/.test(tag))
+                ? null
+                : 'must be a list of tags without spaces, commas or quotes'),
+            notes: value => this.checkNotes(value),
+            parentTaskId: value => (value === null || isId(value) ? null : 'must be null or a task ID'),
+            childTaskIds: idList,
+            dependsOn: idList,
+            nextInstanceId: value => (value === null || isId(value) ? null : 'must be null or a task ID'),
+            recur: value => this.checkRecurrence(value),
+            timeLog: value => this.checkTimeLog(value),
+            estimate: value => this.checkEstimate(value),
+            uuid: value => (typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+                ? null
+                : 'must be a UUID')
+        };
+    }
+
+    /**
+     * Upgrade a parsed backup to the current format and validate it
+     * Returns the upgraded data; throws an Error with a `problems` list when it is invalid.
+     */
+    read(data) {
+        const upgraded = this.upgrade(data);
+        const problems = this.validate(upgraded);
+
+        if (problems.length > 0) {
+            const error = new Error(`Backup has ${problems.length} problem(s). First: ${this.describeProblem(problems[0])}`);
+            error.problems = problems;
+            throw error;
+        }
+
+        return upgraded;
+    }
+
+    /**
+     * Run the upgrade steps from the backup's formatVersion up to the current one
+     */
+    upgrade(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Invalid backup file format: expected a JSON object');
+        }
+        if (!Array.isArray(data.tasks)) {
+            throw new Error('Invalid backup file format: missing "tasks" list');
+        }
+
+        const version = data.formatVersion === undefined ? 1 : data.formatVersion;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Invalid backup file format: unknown formatVersion ${JSON.stringify(data.formatVersion)}`);
+        }
+        if (version > this.currentVersion) {
+            throw new Error(`This backup uses format version ${version}, which is newer than this app supports (${this.currentVersion}). Update the app to import it.`);
+        }
+
+        let upgraded = data;
+        for (let v = version; v < this.currentVersion; v++) {
+            upgraded = this.upgrades[v](upgraded);
+        }
+
+        // Tasks stored before a nullable field existed may lack it at any version; absent means null
+        const tasks = upgraded.tasks.map(task => (task && typeof task === 'object' && !Array.isArray(task)
+            ? this.withDefaults(task, true)
+            : task));
+        return { ...upgraded, tasks };
+    }
+
+    /**
+     * Copy of a task with absent optional fields set to their defaults
+     * (nullableOnly: only the fields whose default is null)
+     */
+    withDefaults(task, nullableOnly = false) {
+        const filled = { ...task };
+        Object.entries(this.taskDefaults).forEach(([field, value]) => {
+            if (filled[field] === undefined && (!nullableOnly || value === null)) {
+                filled[field] = Array.isArray(value) ? [] : value;
+            }
+        });
+        return filled;
+    }
+
+    /**
+     * Version 1: backups from before formatVersion existed
+     * Older exports lack fields added since (tags, dependencies, recurrence, dates, time log,
+     * estimates), may list tags as a string, may miss nextId, and may point at trashed tasks,
+     * which exports leave out.
+     */
+    upgradeFromV1(data) {
+        const isObject = task => task && typeof task === 'object' && !Array.isArray(task);
+        const ids = new Set(data.tasks.filter(isObject).map(task => task.id));
+
+        const tasks = data.tasks.map(task => {
+            // Leave malformed entries for the validator to report
+            if (!isObject(task)) return task;
+
+            const upgraded = this.withDefaults(task);
+
+            if (typeof upgraded.tags === 'string') {
+                upgraded.tags = upgraded.tags.split(/[\s,]+/).map(tag => tag.replace(/^\+/, '')).filter(tag => tag !== '');
+            }
+            if (Array.isArray(upgraded.dependsOn)) {
+                upgraded.dependsOn = upgraded.dependsOn.filter(id => ids.has(id));
+            }
+            if (upgraded.parentTaskId !== null && !ids.has(upgraded.parentTaskId)) {
+                upgraded.parentTaskId = null;
+            }
+            if (Array.isArray(upgraded.childTaskIds)) {
+                upgraded.childTaskIds = upgraded.childTaskIds.filter(id => ids.has(id));
+            }
+            if (upgraded.nextInstanceId !== null && !ids.has(upgraded.nextInstanceId)) {
+                upgraded.nextInstanceId = null;
+            }
+            return upgraded;
+        });
+
+        const maxId = Math.max(0, ...tasks.filter(isObject).map(task => (Number.isInteger(task.id) ? task.id : 0)));
+
+        return {
+            ...data,
+            formatVersion: 2,
+            tasks,
+            nextId: data.nextId === undefined ? maxId + 1 : data.nextId
+        };
+    }
+
+    /**
+     * Version 2: tasks had no UUID
+     */
+    upgradeFromV2(data) {
+        if (!this.generateUuid) {
+            throw new Error('Cannot upgrade a version 2 backup without a UUID generator');
+        }
+        const tasks = data.tasks.map(task => (task && typeof task === 'object' && !Array.isArray(task) && task.uuid === undefined
+            ? { ...task, uuid: this.generateUuid() }
+            : task));
+        return { ...data, formatVersion: 3, tasks };
+    }
+
+    /**
+     * Check a current-format backup; returns a (possibly empty) list of problems
+     */
+    validate(data) {
+        const problems = [];
+        const report = (index, task, field, message) => {
+            const isObject = task && typeof task === 'object';
+            problems.push({
+                index,
+                taskId: isObject && task.id !== undefined ? task.id : null,
+                taskName: isObject && typeof task.name === 'string' ? task.name : null,
+                field,
+                message
+            });
+        };
+
+        if (data.exportDate !== undefined && !this.isDate(data.exportDate)) {
+            report(null, null, 'exportDate', 'must be an ISO date');
+        }
+
+        // Field types and enums
+        const valid = [];
+        data.tasks.forEach((task, index) => {
+            if (!task || typeof task !== 'object' || Array.isArray(task)) {
+                report(index, null, null, 'is not a task object');
+                return;
+            }
+
+            let ok = true;
+            Object.entries(this.taskFields).forEach(([field, check]) => {
+                const message = task[field] === undefined ? 'is missing' : check(task[field]);
+                if (message) {
+                    report(index, task, field, message);
+                    ok = false;
+                }
+            });
+            Object.keys(task).forEach(field => {
+                if (!this.taskFields[field]) {
+                    report(index, task, field, 'is not a known task field');
+                }
+            });
+
+            if (ok) valid.push({ task, index });
+        });
+
+        // ID and UUID uniqueness, nextId
+        const byId = new Map();
+        const uuidIndex = new Map();
+        valid.forEach(({ task, index }) => {
+            const uuid = task.uuid.toLowerCase();
+            if (uuidIndex.has(uuid)) {
+                report(index, task, 'uuid', `duplicates the UUID of entry ${uuidIndex.get(uuid) + 1}`);
+            } else {
+                uuidIndex.set(uuid, index);
+            }
+
+            if (byId.has(task.id)) {
+                report(index, task, 'id', `duplicates the ID of entry ${byId.get(task.id).index + 1}`);
+            } else {
+                byId.set(task.id, { task, index });
+            }
+        });
+
+        const maxId = Math.max(0, ...[...byId.keys()]);
+        if (!Number.isInteger(data.nextId) || data.nextId <= maxId) {
+            report(null, null, 'nextId', `must be a whole number greater than the highest task ID (${maxId})`);
+        }
+
+        // References between tasks
+        byId.forEach(({ task, index }) => {
+            const missing = id => !byId.has(id);
+
+            if (task.parentTaskId !== null) {
+                if (task.parentTaskId === task.id) {
+                    report(index, task, 'parentTaskId', 'a task cannot be its own parent');
+                } else if (missing(task.parentTaskId)) {
+                    report(index, task, 'parentTaskId', `parent #${task.parentTaskId} is not in the backup`);
+                } else if (!byId.get(task.parentTaskId).task.childTaskIds.includes(task.id)) {
+                    report(index, task, 'parentTaskId', `parent #${task.parentTaskId} does not list this task in its childTaskIds`);
+                }
+            }
+
+            if (new Set(task.childTaskIds).size !== task.childTaskIds.length) {
+                report(index, task, 'childTaskIds', 'lists a subtask more than once');
+            }
+            task.childTaskIds.forEach(childId => {
+                if (missing(childId)) {
+                    report(index, task, 'childTaskIds', `subtask #${childId} is not in the backup`);
+                } else if (byId.get(childId).task.parentTaskId !== task.id) {
+                    report(index, task, 'childTaskIds', `subtask #${childId} has a different parentTaskId`);
+                }
+            });
+
+            if (new Set(task.dependsOn).size !== task.dependsOn.length) {
+                report(index, task, 'dependsOn', 'lists a prerequisite more than once');
+            }
+            task.dependsOn.forEach(id => {
+                if (id === task.id) {
+                    report(index, task, 'dependsOn', 'a task cannot depend on itself');
+                } else if (missing(id)) {
+                    report(index, task, 'dependsOn', `prerequisite #${id} is not in the backup`);
+                }
+            });
+
+            if (task.nextInstanceId !== null && missing(task.nextInstanceId)) {
+                report(index, task, 'nextInstanceId', `next instance #${task.nextInstanceId} is not in the backup`);
+            }
+        });
+
+        this.checkHierarchy(byId, report);
+        this.checkDependencyCycles(byId, report);
+
+        // File-level problems first, then in file order
+        const position = problem => (problem.index === null ? -1 : problem.index);
+        return problems.sort((a, b) => position(a) - position(b));
+    }
+
+    /**
+     * Report parent loops and hierarchies deeper than maxDepth levels
+     */
+    checkHierarchy(byId, report) {
+        byId.forEach(({ task, index }) => {
+            const seen = new Set([task.id]);
+            let depth = 1;
+            let parentId = task.parentTaskId;
+
+            while (parentId !== null && byId.has(parentId) && parentId !== task.id) {
+                if (seen.has(parentId)) return; // Loop above this task; reported for the tasks in it
+                seen.add(parentId);
+                depth++;
+                parentId = byId.get(parentId).task.parentTaskId;
+            }
+
+            if (parentId === task.id && task.parentTaskId !== task.id) {
+                report(index, task, 'parentTaskId', 'parents loop back to this task');
+            } else if (depth > this.maxDepth) {
+                report(index, task, 'parentTaskId', `is nested ${depth} levels deep (maximum ${this.maxDepth})`);
+            }
+        });
+    }
+
+    /**
+     * Report every task that sits on a dependency cycle
+     */
+    checkDependencyCycles(byId, report) {
+        const state = new Map(); // id -> 'visiting' | 'done'
+        const onCycle = new Set();
+
+        const visit = (id, path) => {
+            if (state.get(id) === 'done') return;
+            if (state.get(id) === 'visiting') {
+                path.slice(path.indexOf(id)).forEach(cycleId => onCycle.add(cycleId));
+                return;
+            }
+            state.set(id, 'visiting');
+            byId.get(id).task.dependsOn
+                .filter(depId => depId !== id && byId.has(depId))
+                .forEach(depId => visit(depId, [...path, depId]));
+            state.set(id, 'done');
+        };
+
+        byId.forEach((entry, id) => visit(id, [id]));
+
+        onCycle.forEach(id => {
+            const { task, index } = byId.get(id);
+            report(index, task, 'dependsOn', 'is part of a dependency cycle');
+        });
+    }
+
+    checkNotes(notes) {
+        if (!Array.isArray(notes)) return 'must be a list of notes';
+        const bad = notes.findIndex(note =>
+            !note || typeof note !== 'object' || typeof note.content !== 'string' || !this.isDate(note.timestamp));
+        return bad === -1 ? null : `note ${bad + 1} must have a text content and an ISO timestamp`;
+    }
+
+    checkTimeLog(timeLog) {
+        if (!Array.isArray(timeLog)) return 'must be a list of { start, end } intervals';
+        const bad = timeLog.findIndex(entry =>
+            !entry || typeof entry !== 'object' || !this.isDate(entry.start)
+            || (entry.end !== null && (!this.isDate(entry.end) || new Date(entry.end) < new Date(entry.start))));
+        if (bad !== -1) return `interval ${bad + 1} must have an ISO start and an end that is null or not before it`;
+        if (timeLog.filter(entry => entry.end === null).length > 1) return 'has more than one running interval';
+        return null;
+    }
+
+    checkRecurrence(recur) {
+        if (recur === null) return null;
+        if (typeof recur !== 'string') return 'must be null or a recurrence rule';
+        if (!this.parseRecurrence) return null;
+        try {
+            return this.parseRecurrence(recur) === recur ? null : `"${recur}" is not a recurrence rule`;
+        } catch (error) {
+            return `"${recur}" is not a recurrence rule`;
+        }
+    }
+
+    checkEstimate(estimate) {
+        if (estimate === null) return null;
+        const message = 'must be null or { value > 0, unit: "h" | "pt" }';
+        if (typeof estimate !== 'object' || Array.isArray(estimate)) return message;
+        if (!this.parseEstimate) return null;
+        try {
+            this.parseEstimate(estimate);
+            return null;
+        } catch (error) {
+            return message;
+        }
+    }
+
+    isDate(value) {
+        return typeof value === 'string' && value !== '' && !isNaN(Date.parse(value));
+    }
+
+    /**
+     * One-line description of a problem, e.g. 'Task #4 "Call Bob" (entry 2): status must be one of ...'
+     */
+    describeProblem(problem) {
+        let where = 'Backup';
+        if (problem.index !== null) {
+            const id = problem.taskId !== null ? `Task #${problem.taskId}` : 'Task';
+            const name = problem.taskName !== null ? ` "${problem.taskName}"` : '';
+            where = `${id}${name} (entry ${problem.index + 1})`;
+        }
+        return problem.field ? `${where}: ${problem.field} ${problem.message}` : `${where} ${problem.message}`;
+    }
+}
@@ -34,15 +34,27 @@ class CommandParser {
         try {
             // Route to appropriate handler
             if (cmd === 'a' || cmd === 'add') {
-                return this.handleAdd();
+                return this.handleAdd(command);
             } else if (cmd === 'm' || cmd === 'modify') {
-                return await this.handleModify(args);
+                return await this.handleModify(args, command);
             } else if (cmd === 'd' || cmd === 'delete') {
                 return await this.handleDelete(args);
             } else if (cmd.startsWith('filter') || cmd === 'f') {
                 return this.handleFilter(command);
+            } else if (cmd === 'overdue') {
+                return this.handleFilter('filter due=overdue');
+            } else if (cmd === 'waiting') {
+                return { success: true, action: 'show_waiting' };
+            } else if (cmd === 'next') {
+                return this.handleNext(args);
+            } else if (cmd === 'projects') {
+                return { success: true, action: 'show_projects' };
+            } else if (cmd === 'due') {
+                return this.handleDue(args);
             } else if (cmd.startsWith('sort') || cmd === 's') {
-                return this.handleSort(args);
+                return this.handleSort(command);
+            } else if (cmd === 'view' || cmd === 'views') {
+                return await this.handleView(cmd === 'views' && args.length === 0 ? ['list'] : args);
             } else if (cmd === 'clear' || cmd === 'c') {
                 return { success: true, action: 'clear' };
             } else if (cmd === 'help' || cmd === 'h') {
@@ -50,17 +62,35 @@ class CommandParser {
             } else if (cmd === 'privacy') {
                 return { success: true, action: 'show_privacy' };
             } else if (cmd === 'export') {
-                return { success: true, action: 'export_data' };
+                return this.handleExport(args);
             } else if (cmd === 'csv') {
                 return { success: true, action: 'export_csv' };
             } else if (cmd === 'import') {
-                return { success: true, action: 'import_data' };
+                return this.handleImport(args);
             } else if (cmd === 'trash') {
                 return { success: true, action: 'show_trash' };
             } else if (cmd === 'restore') {
                 return await this.handleRestore(args);
             } else if (cmd === 'purge') {
                 return await this.handlePurge(args);
+            } else if (cmd === 'depends' || cmd === 'dep') {
+                return await this.handleDepends(args);
+            } else if (cmd === 'undepend' || cmd === 'undep') {
+                return await this.handleUndepend(args);
+            } else if (cmd === 'recur') {
+                return await this.handleRecur(args);
+            } else if (cmd === 'undo' || cmd === 'redo') {
+                return this.handleUndoRedo(cmd, args);
+            } else if (cmd === 'history') {
+                return this.handleHistory(args);
+            } else if (cmd === 'log') {
+                return await this.handleLog(args);
+            } else if (cmd === 'start') {
+                return await this.handleStart(args);
+            } else if (cmd === 'stop') {
+                return { success: true, action: 'stop_timer' };
+            } else if (cmd === 'set' || cmd === 'settings') {
+                return this.handleSet(args);
             } else if (cmd === 'query' || cmd === 'search' || cmd === '?') {
                 return { success: true, action: 'show_search' };
             } else if (cmd === 'q' || cmd === 'quit') {
@@ -78,8 +108,8 @@ class CommandParser {
      * Supports both ":m 1" and ":m1" formats
      */
     parseCommand(commandString) {
-        // Match pattern like :m1 or :M1 or :d5
-        const compactMatch = commandString.match(/^([a-zA-Z]+)(\d+.*)$/);
+        // Match pattern like :m1 or :M1 or :d5 or :D[1,2,5]
+        const compactMatch = commandString.match(/^([a-zA-Z]+)([\d[].*)$/);
 
         if (compactMatch) {
             // Compact format: :m1 -> command: 'm', args: ['1']
@@ -99,54 +129,206 @@ class CommandParser {
 
     /**
      * Handle :A (Add) command
+     * With no name opens the add modal; otherwise creates the task inline:
+     * :A Write Q3 report project:Finance pri:h due:+3d parent:12 +urgent
      */
-    handleAdd() {
+    handleAdd(commandString = '') {
+        const text = commandString.replace(/^(add|a)(\s+|$|(?=\d))/i, '');
+        if (text.trim() === '') {
+            return {
+                success: true,
+                action: 'prompt_add'
+            };
+        }
+
+        const { words, data } = this.parseTaskModifiers(text);
+        const name = words.join(' ');
+
+        if (!name) {
+            return {
+                success: true,
+                action: 'prompt_add'
+            };
+        }
+
         return {
             success: true,
-            action: 'prompt_add'
+            action: 'create_task',
+            data: { taskData: { ...data, name } }
         };
     }
 
+    /**
+     * Split text into words, keeping key:"quoted values" and "quoted phrases" together
+     * Quotes only group when they wrap a whole word (or the value after key:) and are then
+     * dropped; quotes inside words (Don't, 5'11") and around a single plain word ("legacy") are kept.
+     */
+    splitArgs(text) {
+        const words = [];
+        const regex = /([a-zA-Z]+:)?(["'])(.*?)\2(?=\s|$)|\S+/g;
+        let match;
+
+        while ((match = regex.exec(text)) !== null) {
+            const [word, key, , quoted] = match;
+            if (quoted !== undefined && (key || /\s/.test(quoted))) {
+                words.push((key || '') + quoted);
+            } else {
+                words.push(word);
+            }
+        }
+
+        return words;
+    }
+
+    /**
+     * Parse Taskwarrior-style field modifiers out of a command line
+     * Recognizes project:, pri:/priority:, due:, scheduled:/sched:, wait:, status:, parent:, depends:, recur:, until:,
+     * estimate:/est: and +tag (plus -tag when allowTagRemoval is set). Other words are returned as-is.
+     * Returns { words, data, removeTags } where data holds task fields.
+     */
+    parseTaskModifiers(text, options = {}) {
+        const words = [];
+        const data = {};
+        const addTags = [];
+        const removeTags = [];
+
+        for (const word of this.splitArgs(text)) {
+            const modifierMatch = word.match(/^([a-zA-Z]+):(.*)$/);
+            const key = modifierMatch ? modifierMatch[1].toLowerCase() : null;
+            const value = modifierMatch ? modifierMatch[2].trim() : '';
+            const clearing = ['', 'none'].includes(value.toLowerCase());
+
+            if (key === 'project' || key === 'proj') {
+                data.project = clearing ? null : value;
+            } else if (key === 'pri' || key === 'priority') {
+                const priority = this.expandPriority(value);
+                if (!['Low', 'Medium', 'High', 'Critical'].includes(priority)) {
+                    throw new Error(`Invalid priority "${value}". Use l, m, h, c or Low, Medium, High, Critical`);
+                }
+                data.priority = priority;
+            } else if (key === 'status') {
+                const match = this.normalizeStatus(value);
+                if (!match) {
+                    throw new Error(`Invalid status "${value}". Use n, i, b, c or a full status name`);
+                }
+                data.status = match;
+            } else if (key === 'due') {
+                data.dueDate = clearing ? null : this.taskManager.parseDate(value).toISOString();
+            } else if (key === 'parent') {
+                if (clearing) {
+                    data.parentTaskId = null;
+                } else if (/^\d+$/.test(value)) {
+                    data.parentTaskId = parseInt(value);
+                } else {
+                    throw new Error(`Invalid parent "${value}". Use a task ID or none`);
+                }
+            } else if (key === 'depends' || key === 'dep') {
+                data.dependsOn = clearing ? [] : this.parseIdList(value);
+            } else if (key === 'recur') {
+                data.recur = clearing ? null : this.taskManager.parseRecurrence(value);
+            } else if (key === 'until' || key === 'wait') {
+                data[key] = clearing ? null : this.taskManager.parseDate(value).toISOString();
+            } else if (key === 'scheduled' || key === 'sched') {
+                data.scheduled = clearing ? null : this.taskManager.parseDate(value).toISOString();
+            } else if (key === 'estimate' || key === 'est') {
+                data.estimate = this.taskManager.parseEstimate(value);
+            } else if (/^\+[^\s+]+$/.test(word)) {
+                addTags.push(word.substring(1));
+            } else if (options.allowTagRemoval && /^-[a-zA-Z][^\s]*$/.test(word)) {
+                removeTags.push(word.substring(1));
+            } else {
+                words.push(word);
+            }
+        }
+
+        if (addTags.length > 0) {
+            data.tags = this.taskManager.normalizeTags(addTags);
+        }
+
+        return { words, data, removeTags: this.taskManager.normalizeTags(removeTags) };
+    }
+
+    /**
+     * Parse a comma-separated list of task IDs ("3,4" or "#3,#4")
+     */
+    parseIdList(value) {
+        return value.split(',')
+            .map(v => v.trim().replace(/^#/, ''))
+            .filter(v => v !== '')
+            .map(v => {
+                if (!/^\d+$/.test(v)) {
+                    throw new Error(`Invalid task ID "${v}"`);
+                }
+                return parseInt(v);
+            });
+    }
+
     /**
      * Handle :M (Modify) command
+     * :M 5 opens the modify modal; with modifiers the updates are applied directly:
+     * :M 5 pri:h, :M[1,2,5] status:c project:Beta, :M[10~20] due:+1d +urgent -someday
      */
-    async handleModify(args) {
+    async handleModify(args, commandString = '') {
         if (args.length === 0) {
-            return { success: false, message: 'Usage: :M [task_id]' };
+            return { success: false, message: 'Usage: :M [task_id] or :M[1,2,5] field:value ... or :M[1~10] field:value ...' };
         }
 
-        const taskId = parseInt(args[0]);
-        if (isNaN(taskId)) {
-            return { success: false, message: 'Invalid task ID' };
+        const selection = this.parseTaskIdSelection(args[0]);
+        if (selection.error) {
+            return { success: false, message: selection.error };
         }
 
-        const task = await this.taskManager.getTaskById(taskId);
-        if (!task) {
-            return { success: false, message: `Task with ID ${taskId} not found` };
+        // Everything after the ID selection holds the modifiers
+        const modifierText = commandString
+            .replace(/^(modify|m)\s*/i, '')
+            .trim()
+            .substring(args[0].length);
+
+        if (modifierText.trim() === '') {
+            if (selection.taskIds.length > 1) {
+                return { success: false, message: 'Bulk modify needs at least one modifier, e.g. :M[1,2,5] status:c pri:h' };
+            }
+
+            const taskId = selection.taskIds[0];
+            const task = await this.taskManager.getTaskById(taskId);
+            if (!task) {
+                return { success: false, message: `Task with ID ${taskId} not found` };
+            }
+
+            return {
+                success: true,
+                action: 'prompt_modify',
+                data: { task }
+            };
         }
 
+        const { words, data, removeTags } = this.parseTaskModifiers(modifierText, { allowTagRemoval: true });
+        if (words.length > 0) {
+            return { success: false, message: `Unknown modifier "${words[0]}". Use project:, pri:, due:, scheduled:, wait:, until:, estimate:, status:, parent:, depends:, recur:, +tag or -tag` };
+        }
+
+        const tagModifiers = [
+            ...(data.tags || []).map(tag => `+${tag}`),
+            ...removeTags.map(tag => `-${tag}`)
+        ];
+        delete data.tags;
+
         return {
             success: true,
-            action: 'prompt_modify',
-            data: { task }
+            action: 'bulk_modify',
+            data: { taskIds: selection.taskIds, updates: data, tagModifiers }
         };
     }
 
     /**
-     * Handle :D (Delete) command
-     * Supports: :d1, :d[1,2,5], :d[1~10], :d[1-10]
+     * Parse a task ID selection: 5, [1,2,5], [1~10] or [1-10]
+     * Returns { taskIds } or { error }
      */
-    async handleDelete(args) {
-        if (args.length === 0) {
-            return { success: false, message: 'Usage: :D [task_id] or :D[1,2,5] or :D[1~10]' };
-        }
-
-        const firstArg = args[0];
+    parseTaskIdSelection(arg) {
         let taskIds = [];
 
-        // Check if it's array or range format
-        if (firstArg.startsWith('[') && firstArg.endsWith(']')) {
-            const inner = firstArg.slice(1, -1);
+        if (arg.startsWith('[') && arg.endsWith(']')) {
+            const inner = arg.slice(1, -1);
 
             // Range format: [1~10] or [1-10]
             if (inner.includes('~') || inner.includes('-')) {
@@ -154,7 +336,7 @@ class CommandParser {
                 const [start, end] = inner.split(separator).map(n => parseInt(n.trim()));
 
                 if (isNaN(start) || isNaN(end)) {
-                    return { success: false, message: 'Invalid range format. Use: :D[1~10] or :D[1-10]' };
+                    return { error: 'Invalid range format. Use: [1~10] or [1-10]' };
                 }
 
                 for (let i = start; i <= end; i++) {
@@ -165,18 +347,36 @@ class CommandParser {
                 taskIds = inner.split(',').map(n => parseInt(n.trim()));
 
                 if (taskIds.some(id => isNaN(id))) {
-                    return { success: false, message: 'Invalid task IDs in array. Use: :D[1,2,5]' };
+                    return { error: 'Invalid task IDs in array. Use: [1,2,5]' };
                 }
             }
         } else {
             // Single task ID
-            const taskId = parseInt(firstArg);
+            const taskId = parseInt(arg);
             if (isNaN(taskId)) {
-                return { success: false, message: 'Invalid task ID' };
+                return { error: 'Invalid task ID' };
             }
             taskIds = [taskId];
         }
 
+        return { taskIds };
+    }
+
+    /**
+     * Handle :D (Delete) command
+     * Supports: :d1, :d[1,2,5], :d[1~10], :d[1-10]
+     */
+    async handleDelete(args) {
+        if (args.length === 0) {
+            return { success: false, message: 'Usage: :D [task_id] or :D[1,2,5] or :D[1~10]' };
+        }
+
+        const selection = this.parseTaskIdSelection(args[0]);
+        if (selection.error) {
+            return { success: false, message: selection.error };
+        }
+        const taskIds = selection.taskIds;
+
         // Fetch all tasks
         const tasks = [];
         const notFound = [];
@@ -280,93 +480,484 @@ class CommandParser {
     }
 
     /**
-     * Handle Filter commands
+     * Parse dependency arguments: "5 on 3", "5 on 3,4" or "5 3"
+     * Returns { taskId, prerequisiteIds } or { error }
      */
-    handleFilter(commandString) {
-        const filters = {};
-
-        // Parse filter parameters
-        // Format: Filter_ID=1 or Filter_Project="name" or Filter_Status="value"
-        // Supports negation: Filter_Status!="Completed"
-
-        // ID filter - supports single, array, or range
-        const idMatch = commandString.match(/Filter_ID(!=|=)(\[.*?\]|\d+)/i);
-        if (idMatch) {
-            const operator = idMatch[1];
-            const idValue = idMatch[2];
-            const negate = operator === '!=';
-
-            if (idValue.startsWith('[')) {
-                // Array or range
-                const inner = idValue.slice(1, -1);
-                if (inner.includes('~')) {
-                    // Range format: [1~10]
-                    const [start, end] = inner.split('~').map(n => parseInt(n.trim()));
-                    const ids = [];
-                    for (let i = start; i <= end; i++) {
-                        ids.push(i);
-                    }
-                    filters.id = { value: ids, negate };
-                } else {
-                    // Array format: [1,2,5]
-                    filters.id = { value: inner.split(',').map(n => parseInt(n.trim())), negate };
-                }
-            } else {
-                // Single ID
-                filters.id = { value: parseInt(idValue), negate };
+    parseDependencyArgs(args) {
+        const words = args.filter(a => a.toLowerCase() !== 'on');
+        if (words.length === 0) {
+            return { error: 'missing' };
+        }
+
+        const taskId = parseInt(words[0]);
+        if (isNaN(taskId)) {
+            return { error: 'Invalid task ID' };
+        }
+
+        const prerequisiteIds = words.slice(1)
+            .join(',')
+            .replace(/[\[\]]/g, '')
+            .split(',')
+            .filter(n => n.trim() !== '')
+            .map(n => parseInt(n.trim()));
+
+        if (prerequisiteIds.some(id => isNaN(id))) {
+            return { error: 'Invalid prerequisite task ID' };
+        }
+
+        return { taskId, prerequisiteIds };
+    }
+
+    /**
+     * Handle :depends command
+     * Supports: :depends 5 on 3, :depends 5 on 3,4
+     */
+    async handleDepends(args) {
+        const usage = 'Usage: :depends [task_id] on [prerequisite_id] (e.g., :depends 5 on 3,4)';
+        const parsed = this.parseDependencyArgs(args);
+
+        if (parsed.error === 'missing') {
+            return { success: false, message: usage };
+        }
+        if (parsed.error) {
+            return { success: false, message: parsed.error };
+        }
+        if (parsed.prerequisiteIds.length === 0) {
+            return { success: false, message: usage };
+        }
+
+        const task = await this.taskManager.getTaskById(parsed.taskId);
+        if (!task || task.deleted) {
+            return { success: false, message: `Task with ID ${parsed.taskId} not found` };
+        }
+
+        return {
+            success: true,
+            action: 'add_dependency',
+            data: parsed
+        };
+    }
+
+    /**
+     * Handle :undepend command
+     * Supports: :undepend 5 on 3 (remove one), :undepend 5 (remove all)
+     */
+    async handleUndepend(args) {
+        const parsed = this.parseDependencyArgs(args);
+
+        if (parsed.error === 'missing') {
+            return { success: false, message: 'Usage: :undepend [task_id] on [prerequisite_id] or :undepend [task_id] to remove all' };
+        }
+        if (parsed.error) {
+            return { success: false, message: parsed.error };
+        }
+
+        const task = await this.taskManager.getTaskById(parsed.taskId);
+        if (!task || task.deleted) {
+            return { success: false, message: `Task with ID ${parsed.taskId} not found` };
+        }
+
+        return {
+            success: true,
+            action: 'remove_dependency',
+            data: parsed
+        };
+    }
+
+    /**
+     * Handle :undo / :redo with an optional step count (:undo 5)
+     */
+    handleUndoRedo(cmd, args) {
+        const count = args.length > 0 ? parseInt(args[0]) : 1;
+        if (isNaN(count) || count < 1) {
+            return { success: false, message: `Usage: :${cmd} [steps] (e.g., :${cmd} 5)` };
+        }
+
+        return {
+            success: true,
+            action: cmd,
+            data: { count }
+        };
+    }
+
+    /**
+     * Handle :history command
+     * Supports: :history, :history depth 50, :history clear
+     */
+    handleHistory(args) {
+        if (args.length === 0) {
+            return { success: true, action: 'show_history' };
+        }
+
+        const sub = args[0].toLowerCase();
+
+        if (sub === 'depth' || sub === 'size') {
+            const depth = parseInt(args[1]);
+            if (isNaN(depth)) {
+                return { success: false, message: `Usage: :history depth [1-1000] (currently ${this.taskManager.maxHistorySize})` };
             }
+            return { success: true, action: 'set_history_depth', data: { depth } };
         }
 
-        // Project filter - handles quoted and unquoted values
-        const projectMatch = commandString.match(/Filter_Project(!=|=)(["'])([^"']+)\2|Filter_Project(!=|=)([^\s]+)/i);
-        if (projectMatch) {
-            const operator = projectMatch[1] || projectMatch[4];
-            const value = projectMatch[3] || projectMatch[5];
-            filters.project = { value, negate: operator === '!=' };
+        if (sub === 'clear') {
+            return { success: true, action: 'clear_history' };
         }
 
-        // Priority filter - handles quoted and unquoted values
-        const priorityMatch = commandString.match(/Filter_Priority(!=|=)(["'])([^"']+)\2|Filter_Priority(!=|=)([^\s]+)/i);
-        if (priorityMatch) {
-            const operator = priorityMatch[1] || priorityMatch[4];
-            const value = priorityMatch[3] || priorityMatch[5];
-            filters.priority = { value, negate: operator === '!=' };
+        return { success: false, message: 'Usage: :history, :history depth N, :history clear' };
+    }
+
+    /**
+     * Handle :log command
+     * Supports: :log 12 (change history of one task, including tasks in the trash)
+     */
+    async handleLog(args) {
+        if (args.length !== 1) {
+            return { success: false, message: 'Usage: :log [task_id]' };
         }
 
-        // Status filter - handles quoted and unquoted values
-        const statusMatch = commandString.match(/Filter_Status(!=|=)(["'])([^"']+)\2|Filter_Status(!=|=)([^\s]+)/i);
-        if (statusMatch) {
-            const operator = statusMatch[1] || statusMatch[4];
-            const value = statusMatch[3] || statusMatch[5];
-            filters.status = { value: this.expandStatus(value), negate: operator === '!=' };
+        const taskId = parseInt(args[0]);
+        if (isNaN(taskId)) {
+            return { success: false, message: 'Invalid task ID' };
         }
 
-        if (Object.keys(filters).length === 0) {
-            return { success: false, message: 'No valid filter parameters found. Example: :Filter_ID=1 or :Filter_Project="Alpha" or :Filter_Status!="Completed"' };
+        const task = await this.taskManager.getTaskById(taskId);
+        if (!task) {
+            return { success: false, message: `Task with ID ${taskId} not found` };
+        }
+
+        return { success: true, action: 'show_log', data: { taskId } };
+    }
+
+    /**
+     * Handle :import (replace everything), :import merge (add to the existing tasks)
+     * and :import taskwarrior / todotxt / csv (merge a file from another tool)
+     */
+    handleImport(args) {
+        const option = args.length === 1 ? args[0].toLowerCase() : null;
+        if (args.length === 0) {
+            return { success: true, action: 'import_data', data: { mode: 'replace', format: 'json' } };
+        }
+        if (option === 'merge') {
+            return { success: true, action: 'import_data', data: { mode: 'merge', format: 'json' } };
+        }
+        if (option === 'taskwarrior' || option === 'tw') {
+            return { success: true, action: 'import_data', data: { mode: 'merge', format: 'taskwarrior' } };
+        }
+        if (option === 'todotxt' || option === 'todo.txt') {
+            return { success: true, action: 'import_data', data: { mode: 'merge', format: 'todotxt' } };
+        }
+        if (option === 'csv') {
+            return { success: true, action: 'import_data', data: { mode: 'merge', format: 'csv' } };
+        }
+        return { success: false, message: 'Usage: :import, :import merge, :import taskwarrior, :import todotxt or :import csv' };
+    }
+
+    /**
+     * Handle :export (JSON backup), :export taskwarrior (for `task import`) and :export todotxt
+     */
+    handleExport(args) {
+        const option = args.length === 1 ? args[0].toLowerCase() : null;
+        if (args.length === 0) {
+            return { success: true, action: 'export_data', data: { format: 'json' } };
+        }
+        if (option === 'taskwarrior' || option === 'tw') {
+            return { success: true, action: 'export_data', data: { format: 'taskwarrior' } };
+        }
+        if (option === 'todotxt' || option === 'todo.txt') {
+            return { success: true, action: 'export_data', data: { format: 'todotxt' } };
+        }
+        return { success: false, message: 'Usage: :export, :export taskwarrior or :export todotxt' };
+    }
+
+    /**
+     * Handle :start [task_id] - start the timer (on the selected task when no ID is given)
+     */
+    async handleStart(args) {
+        if (args.length === 0) {
+            return { success: true, action: 'start_timer', data: { taskId: null } };
+        }
+
+        const taskId = parseInt(args[0]);
+        if (args.length > 1 || isNaN(taskId)) {
+            return { success: false, message: 'Usage: :start [task_id]' };
+        }
+
+        const task = await this.taskManager.getTaskById(taskId);
+        if (!task || task.deleted) {
+            return { success: false, message: `Task with ID ${taskId} not found` };
+        }
+
+        return { success: true, action: 'start_timer', data: { taskId } };
+    }
+
+    /**
+     * Handle :set command
+     * Supports: :set (list), :set timezone Europe/London, :set tz auto, :set locale en-GB, :set sort_scheduled off
+     */
+    handleSet(args) {
+        if (args.length === 0) {
+            return { success: true, action: 'show_settings' };
+        }
+
+        // :set urgency.due 15 / :set urgency.due default
+        const urgencyMatch = args[0].match(/^urgency\.(\w+)$/i);
+        if (urgencyMatch) {
+            // Coefficient names are matched case-insensitively (urgency.inprogress -> inProgress)
+            const name = Object.keys(this.taskManager.defaultSettings.urgency)
+                .find(k => k.toLowerCase() === urgencyMatch[1].toLowerCase()) || urgencyMatch[1];
+            const value = args[1] ? args[1].toLowerCase() : '';
+            if (args.length !== 2 || (value !== 'default' && !/^-?\d+(\.\d+)?$/.test(value))) {
+                return { success: false, message: 'Usage: :set urgency.COEFFICIENT [number|default]' };
+            }
+            return {
+                success: true,
+                action: 'update_settings',
+                data: { changes: { urgency: { [name]: value === 'default' ? null : parseFloat(value) } } }
+            };
+        }
+
+        const keys = { timezone: 'timeZone', tz: 'timeZone', locale: 'locale', sort_scheduled: 'sortByScheduled' };
+        const key = keys[args[0].toLowerCase()];
+        if (!key || args.length !== 2) {
+            return { success: false, message: 'Usage: :set timezone [Area/City|auto], :set locale [en-GB|auto], :set sort_scheduled [on|off] or :set urgency.COEFFICIENT [number|default]' };
+        }
+
+        let value = args[1];
+        if (key === 'sortByScheduled') {
+            const flag = value.toLowerCase();
+            if (!['on', 'off', 'true', 'false'].includes(flag)) {
+                return { success: false, message: 'Usage: :set sort_scheduled [on|off]' };
+            }
+            value = flag === 'on' || flag === 'true';
         }
 
+        return {
+            success: true,
+            action: 'update_settings',
+            data: { changes: { [key]: value } }
+        };
+    }
+
+    /**
+     * Handle :recur command
+     * Supports: :recur 5 weekly, :recur 5 every 2w until 2026-12-31, :recur 5 none
+     */
+    async handleRecur(args) {
+        const usage = 'Usage: :recur [task_id] [daily|weekly|monthly|yearly|weekdays|last-day-of-month|every 2w] [until DATE] or :recur [task_id] none';
+
+        if (args.length < 2) {
+            return { success: false, message: usage };
+        }
+
+        const taskId = parseInt(args[0]);
+        if (isNaN(taskId)) {
+            return { success: false, message: 'Invalid task ID' };
+        }
+
+        const task = await this.taskManager.getTaskById(taskId);
+        if (!task || task.deleted) {
+            return { success: false, message: `Task with ID ${taskId} not found` };
+        }
+
+        const words = args.slice(1);
+        const untilIndex = words.findIndex(w => w.toLowerCase() === 'until');
+        const ruleText = (untilIndex === -1 ? words : words.slice(0, untilIndex)).join(' ');
+
+        // Clear recurrence
+        if (['none', 'clear', 'off'].includes(ruleText.toLowerCase())) {
+            return {
+                success: true,
+                action: 'set_recurrence',
+                data: { taskId, rule: null }
+            };
+        }
+
+        const rule = this.taskManager.parseRecurrence(ruleText);
+        const data = { taskId, rule };
+
+        if (untilIndex !== -1) {
+            const untilText = words.slice(untilIndex + 1).join(' ');
+            if (!untilText) {
+                return { success: false, message: usage };
+            }
+            const untilDate = this.taskManager.parseDate(untilText);
+            data.until = untilDate ? untilDate.toISOString() : null;
+        }
+
+        return {
+            success: true,
+            action: 'set_recurrence',
+            data
+        };
+    }
+
+    /**
+     * Handle Filter commands
+     * Accepts a boolean expression after :filter / :f, or the legacy form
+     * :Filter_Status!="Completed" (Filter_ prefixed fields are part of the grammar)
+     */
+    handleFilter(commandString) {
+        const keywordMatch = commandString.match(/^(filter|f)(\s+|$)/i);
+        const expression = keywordMatch
+            ? commandString.slice(keywordMatch[0].length).trim()
+            : commandString.trim();
+
+        if (expression === '') {
+            return { success: false, message: 'No filter expression given. Example: :filter (priority=High or priority=Critical) and project=Alpha and not status=Completed' };
+        }
+
+        const parser = new FilterParser({
+            normalizeValue: (field, value, operator) => this.normalizeFilterValue(field, value, operator)
+        });
+        const filters = parser.parse(expression);
+
         return {
             success: true,
             action: 'filter',
-            data: { filters }
+            data: { filters, expression }
         };
     }
 
+    /**
+     * Handle :view command
+     * Supports: :view save work, :view work, :view list, :view delete work, :view default work|none
+     */
+    async handleView(args) {
+        const usage = 'Usage: :view save NAME, :view NAME, :view list, :view delete NAME, :view default NAME|none';
+
+        if (args.length === 0) {
+            return { success: false, message: usage };
+        }
+
+        const sub = args[0].toLowerCase();
+        const name = args[1];
+
+        if (sub === 'list' || sub === 'ls') {
+            return { success: true, action: 'list_views' };
+        }
+
+        if (sub === 'save') {
+            if (!name) return { success: false, message: usage };
+            if (['save', 'list', 'ls', 'delete', 'del', 'rm', 'default'].includes(name.toLowerCase())) {
+                return { success: false, message: `"${name}" is a reserved word and cannot be used as a view name` };
+            }
+            return { success: true, action: 'save_view', data: { name } };
+        }
+
+        if (sub === 'delete' || sub === 'del' || sub === 'rm') {
+            if (!name) return { success: false, message: usage };
+            const view = await this.taskManager.getView(name);
+            if (!view) {
+                return { success: false, message: `View "${name}" not found` };
+            }
+            return { success: true, action: 'delete_view', data: { name: view.name } };
+        }
+
+        if (sub === 'default') {
+            if (!name) return { success: false, message: usage };
+            if (['none', 'clear', 'off'].includes(name.toLowerCase())) {
+                return { success: true, action: 'set_default_view', data: { name: null } };
+            }
+            return { success: true, action: 'set_default_view', data: { name } };
+        }
+
+        const view = await this.taskManager.getView(args[0]);
+        if (!view) {
+            return { success: false, message: `View "${args[0]}" not found. Use :view list to see saved views` };
+        }
+
+        return { success: true, action: 'apply_view', data: { view } };
+    }
+
+    /**
+     * Handle :due shortcut
+     * Supports: :due week, :due today, :due none, :due <+3d, :due >=2026-11-01
+     */
+    handleDue(args) {
+        if (args.length === 0) {
+            return { success: false, message: 'Usage: :due [today|tomorrow|week|month|overdue|none|DATE] or :due <DATE, :due >=DATE' };
+        }
+
+        const value = args.join(' ');
+        const hasOperator = /^(!=|<=|>=|=|<|>)/.test(value);
+        const needsQuotes = !hasOperator && /\s/.test(value) && !/^(["']).*\1$/.test(value);
+        const expression = hasOperator
+            ? `due${value}`
+            : `due=${needsQuotes ? `"${value}"` : value}`;
+
+        return this.handleFilter(`filter ${expression}`);
+    }
+
+    /**
+     * Expand shorthand filter values (status/priority abbreviations, dates)
+     */
+    normalizeFilterValue(field, value, operator) {
+        if (field === 'status') {
+            // Allow unquoted multi-word statuses: in-progress, not_started
+            return this.expandStatus(value.replace(/[-_]+/g, ' '));
+        }
+        if (field === 'priority') {
+            return this.expandPriority(value);
+        }
+        if (field in this.taskManager.dateFields) {
+            // Keywords: none (no date), overdue (due only), week (this week), month (this month)
+            const keyword = value.toLowerCase();
+            if (keyword === 'overdue' && field !== 'due') {
+                throw new Error(`"overdue" can only be used with due`);
+            }
+            if (['none', 'overdue', 'week', 'month'].includes(keyword)) {
+                if (operator !== '=' && operator !== '!=') {
+                    throw new Error(`"${value}" can only be used with = or !=`);
+                }
+                return keyword === 'none' ? null : keyword;
+            }
+            return this.taskManager.parseDate(value).toISOString();
+        }
+        return value;
+    }
+
     /**
      * Handle Sort command
+     * Supports: :sort due, :sort -id, :sort project,priority,due, :Sort_by_priority, :sort default
      */
-    handleSort(args) {
-        const sortType = args.join('_').toLowerCase();
+    handleSort(commandString) {
+        const spec = commandString.replace(/^(sort(_by)?|s)(?=[_\s]|$)[_\s]*/i, '').trim();
 
-        if (sortType.includes('priority')) {
+        if (spec === '') {
+            return { success: false, message: 'Usage: :sort KEY[,KEY...] (id, name, due, scheduled, wait, until, priority, status, project, parent, urgency; prefix - for descending) or :sort default' };
+        }
+
+        if (['default', 'none', 'clear'].includes(spec.toLowerCase())) {
             return {
                 success: true,
                 action: 'sort',
-                data: { sortBy: 'priority' }
+                data: { sortBy: null }
             };
         }
 
-        return { success: false, message: 'Usage: :Sort_by_priority' };
+        // Validate keys and normalize the spec ("project, -pri" -> "project,-priority")
+        const sortBy = this.taskManager.formatSortKeys(this.taskManager.parseSortKeys(spec));
+
+        return {
+            success: true,
+            action: 'sort',
+            data: { sortBy }
+        };
+    }
+
+    /**
+     * Handle :next [N] - the N most urgent actionable tasks (default 10)
+     */
+    handleNext(args) {
+        if (args.length > 1 || (args.length === 1 && !/^[1-9]\d*$/.test(args[0]))) {
+            return { success: false, message: 'Usage: :next [count]' };
+        }
+
+        return {
+            success: true,
+            action: 'show_next',
+            data: { limit: args.length === 1 ? parseInt(args[0]) : 10 }
+        };
     }
 
     /**
@@ -409,6 +1000,24 @@ class CommandParser {
         return priorityMap[lower] || abbrev;
     }
 
+    /**
+     * Full status name for an abbreviation or a name in any case (in-progress, not_started ...), or null
+     */
+    normalizeStatus(value) {
+        const status = this.expandStatus(value.trim().replace(/[-_]+/g, ' '));
+        return ['Not Started', 'In Progress', 'Blocked', 'Completed']
+            .find(s => s.toLowerCase() === status.toLowerCase()) || null;
+    }
+
+    /**
+     * Full priority name for an abbreviation or a name in any case, or null
+     */
+    normalizePriority(value) {
+        const priority = this.expandPriority(value.trim());
+        return ['Low', 'Medium', 'High', 'Critical']
+            .find(p => p.toLowerCase() === priority.toLowerCase()) || null;
+    }
+
     /**
      * Add command to history
      */
@@ -472,11 +1081,30 @@ class CommandParser {
             ':A', ':add',
             ':M', ':modify',
             ':D', ':delete',
+            ':filter',
             ':Filter_ID=',
             ':Filter_Project=',
             ':Filter_Priority=',
             ':Filter_Status=',
+            ':Filter_Tag=',
+            ':Filter_Due=',
+            ':overdue',
+            ':waiting',
+            ':next',
+            ':projects',
+            ':start', ':stop',
+            ':due',
             ':Sort_by_priority',
+            ':sort',
+            ':depends',
+            ':undepend',
+            ':recur',
+            ':view',
+            ':undo',
+            ':redo',
+            ':history',
+            ':log',
+            ':set',
             ':clear', ':c',
             ':help', ':h',
             ':quit', ':q'
@@ -0,0 +1,298 @@
+/**
+ * CsvFormat - Parses CSV (RFC 4180) and turns mapped spreadsheet rows into Silverlake tasks
+ *
+ * Parsing handles quoted fields with commas, line breaks and doubled quotes ("") inside,
+ * CRLF or LF line endings and a leading byte order mark. Each column is then mapped to a task
+ * field (or ignored); guessMapping suggests a mapping from the header row, e.g. the columns
+ * written by :csv.
+ */
+
+class CsvFormat {
+    /**
+     * @param {Object} options
+     * @param {Function} options.parseDate - text => Date; throws on invalid input
+     * @param {Function} options.normalizeStatus - text => canonical status, or null when unknown
+     * @param {Function} options.normalizePriority - text => canonical priority, or null when unknown
+     * @param {Function} options.generateUuid - () => new task UUID
+     */
+    constructor(options = {}) {
+        this.parseDate = options.parseDate;
+        this.normalizeStatus = options.normalizeStatus;
+        this.normalizePriority = options.normalizePriority;
+        this.generateUuid = options.generateUuid;
+
+        // Task field -> label shown in the mapping step
+        this.fields = {
+            id: 'ID (for parent links)',
+            name: 'Name',
+            status: 'Status',
+            priority: 'Priority',
+            project: 'Project',
+            tags: 'Tags',
+            due: 'Due date',
+            parent: 'Parent',
+            notes: 'Notes'
+        };
+
+        // Header names recognised by guessMapping (lowercase, single spaces)
+        this.headerAliases = {
+            id: ['id', '#', 'task id'],
+            name: ['name', 'task', 'title', 'description', 'summary'],
+            status: ['status', 'state'],
+            priority: ['priority', 'pri'],
+            project: ['project', 'proj'],
+            tags: ['tags', 'tag', 'labels', 'contexts'],
+            due: ['due', 'due date', 'deadline'],
+            parent: ['parent', 'parent id', 'parent task', 'parent task id'],
+            notes: ['notes', 'note', 'comments']
+        };
+
+        // Separator :csv uses between several notes in one cell
+        this.noteSeparator = ' | ';
+    }
+
+    /**
+     * Parse CSV text into rows of strings (rows may differ in length)
+     * Throws on a quote inside an unquoted field, text after a closing quote or an unclosed quote.
+     */
+    parse(text) {
+        const input = text.replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let quoted = false; // The current field was quoted and its closing quote has been seen
+        let line = 1;
+        let quoteLine = 1;
+
+        const endField = () => {
+            row.push(field);
+            field = '';
+            quoted = false;
+        };
+        const endRow = () => {
+            endField();
+            rows.push(row);
+            row = [];
+        };
+
+        for (let i = 0; i < input.length; i++) {
+            const ch = input[i];
+
+            if (inQuotes) {
+                if (ch === '"') {
+                    if (input[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                        quoted = true;
+                    }
+                } else {
+                    if (ch === '\n') line++;
+                    field += ch;
+                }
+                continue;
+            }
+
+            if (ch === ',') {
+                endField();
+            } else if (ch === '\r' || ch === '\n') {
+                if (ch === '\r' && input[i + 1] === '\n') i++;
+                endRow();
+                line++;
+            } else if (ch === '"') {
+                if (field !== '' || quoted) {
+                    throw new Error(`CSV line ${line}: a quote can only start a field (write "" inside a quoted field)`);
+                }
+                inQuotes = true;
+                quoteLine = line;
+            } else {
+                if (quoted) {
+                    throw new Error(`CSV line ${line}: unexpected text after a closing quote`);
+                }
+                field += ch;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error(`CSV line ${quoteLine}: quoted field is never closed`);
+        }
+        if (field !== '' || quoted || row.length > 0) {
+            endRow();
+        }
+
+        return rows;
+    }
+
+    /**
+     * Suggest a field for each column from its header (null = ignore); each field is used once
+     */
+    guessMapping(headers) {
+        const used = new Set();
+        return headers.map(header => {
+            const key = String(header).trim().toLowerCase().replace(/[\s_]+/g, ' ');
+            const field = Object.keys(this.headerAliases)
+                .find(name => !used.has(name) && this.headerAliases[name].includes(key));
+            if (!field) return null;
+            used.add(field);
+            return field;
+        });
+    }
+
+    /**
+     * Convert rows into a current-format Silverlake backup using a column mapping
+     * (mapping[column] = field name or null). Rows without a name are skipped; values that
+     * can't be read fall back to the default and are reported as warnings.
+     * Returns { data, rowCount, skipped: [{ row, reason }], warnings: [{ row, field, message }] }
+     * where row is the 1-based line in the spreadsheet.
+     */
+    toBackup(rows, mapping, { hasHeader = true, formatVersion } = {}) {
+        const column = field => mapping.indexOf(field);
+        const dataRows = hasHeader ? rows.slice(1) : rows;
+        const firstRow = hasHeader ? 2 : 1;
+        const skipped = [];
+        const warnings = [];
+        const entries = [];
+
+        dataRows.forEach((cells, index) => {
+            const row = firstRow + index;
+            const cell = field => (column(field) === -1 ? '' : String(cells[column(field)] || '').trim());
+            const warn = (field, message) => warnings.push({ row, field, message });
+
+            if (cells.every(value => value.trim() === '')) return;
+
+            const name = cell('name').replace(/\s+/g, ' ');
+            if (name === '') {
+                skipped.push({ row, reason: 'no name' });
+                return;
+            }
+
+            let status = 'Not Started';
+            if (cell('status') !== '') {
+                status = this.normalizeStatus(cell('status'));
+                if (!status) {
+                    warn('status', `"${cell('status')}" is not a status; using Not Started`);
+                    status = 'Not Started';
+                }
+            }
+
+            let priority = 'Medium';
+            if (cell('priority') !== '') {
+                priority = this.normalizePriority(cell('priority'));
+                if (!priority) {
+                    warn('priority', `"${cell('priority')}" is not a priority; using Medium`);
+                    priority = 'Medium';
+                }
+            }
+
+            let dueDate = null;
+            if (cell('due') !== '') {
+                try {
+                    dueDate = this.parseDate(cell('due')).toISOString();
+                } catch (error) {
+                    warn('due', `"${cell('due')}" is not a date; left empty`);
+                }
+            }
+
+            const tags = [];
+            cell('tags').split(/[\s,]+/).map(tag => tag.replace(/^[+@]/, '')).forEach(tag => {
+                if (tag !== '' && !/["']/.test(tag) && !tags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+                    tags.push(tag);
+                }
+            });
+
+            const notes = cell('notes') === ''
+                ? []
+                : cell('notes').split(this.noteSeparator).map(content => content.trim()).filter(content => content !== '')
+                    .map(content => ({ timestamp: new Date().toISOString(), content }));
+
+            entries.push({
+                row,
+                key: cell('id'),
+                parentRef: cell('parent'),
+                task: {
+                    id: entries.length + 1,
+                    name,
+                    dueDate,
+                    status,
+                    project: cell('project') || null,
+                    priority,
+                    tags,
+                    notes,
+                    parentTaskId: null,
+                    childTaskIds: [],
+                    dependsOn: [],
+                    recur: null,
+                    scheduled: null,
+                    wait: null,
+                    until: null,
+                    createdAt: null,
+                    timeLog: [],
+                    estimate: null,
+                    uuid: this.generateUuid(),
+                    nextInstanceId: null,
+                    deleted: false,
+                    deletedAt: null
+                }
+            });
+        });
+
+        this.linkParents(entries, warnings);
+
+        const tasks = entries.map(entry => entry.task);
+        return {
+            data: {
+                formatVersion,
+                tasks,
+                nextId: tasks.length + 1,
+                exportDate: new Date().toISOString()
+            },
+            rowCount: dataRows.length,
+            skipped,
+            warnings
+        };
+    }
+
+    /**
+     * Resolve parent cells: the value of another row's ID column, else another row's name
+     */
+    linkParents(entries, warnings) {
+        const byKey = new Map();
+        const byName = new Map();
+        entries.forEach(entry => {
+            if (entry.key !== '') {
+                if (byKey.has(entry.key)) {
+                    warnings.push({ row: entry.row, field: 'id', message: `ID "${entry.key}" is also used on row ${byKey.get(entry.key).row}; parent links use that row` });
+                } else {
+                    byKey.set(entry.key, entry);
+                }
+            }
+            const name = entry.task.name.toLowerCase();
+            byName.set(name, byName.has(name) ? null : entry); // null = ambiguous
+        });
+
+        entries.forEach(entry => {
+            if (entry.parentRef === '') return;
+
+            const lowerRef = entry.parentRef.toLowerCase();
+            let parent = byKey.get(entry.parentRef) || null;
+            if (!parent && byName.has(lowerRef)) {
+                parent = byName.get(lowerRef);
+                if (!parent) {
+                    warnings.push({ row: entry.row, field: 'parent', message: `several rows are named "${entry.parentRef}"; no parent set` });
+                    return;
+                }
+            }
+
+            if (!parent) {
+                warnings.push({ row: entry.row, field: 'parent', message: `no row with ID or name "${entry.parentRef}"; no parent set` });
+            } else if (parent === entry) {
+                warnings.push({ row: entry.row, field: 'parent', message: 'a task cannot be its own parent; no parent set' });
+            } else {
+                entry.task.parentTaskId = parent.task.id;
+                parent.task.childTaskIds.push(entry.task.id);
+            }
+        });
+    }
+}
@@ -0,0 +1,469 @@
+/**
+ * DateService - Formats and parses dates in the configured timezone and locale
+ *
+ * Wall-clock values are passed around as parts: { year, month (1-12), day, hour, minute, second }.
+ * Calendar arithmetic on parts is done with Date.UTC so it never depends on the machine's zone.
+ */
+
+class DateService {
+    constructor(settings = {}) {
+        this.configure(settings);
+    }
+
+    /**
+     * The browser's timezone (e.g. "Europe/London")
+     */
+    static detectTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (error) {
+            return 'UTC';
+        }
+    }
+
+    /**
+     * The browser's locale (e.g. "en-GB")
+     */
+    static detectLocale() {
+        if (typeof navigator !== 'undefined' && navigator.language) {
+            return navigator.language;
+        }
+        return Intl.DateTimeFormat().resolvedOptions().locale || 'en-US';
+    }
+
+    /**
+     * Apply timezone/locale settings (null = follow the browser)
+     */
+    configure({ timeZone = null, locale = null } = {}) {
+        if (timeZone && !this.isValidTimeZone(timeZone)) {
+            throw new Error(`Unknown timezone "${timeZone}". Use an IANA name such as Europe/London or America/New_York`);
+        }
+        if (locale && !this.isValidLocale(locale)) {
+            throw new Error(`Unknown locale "${locale}". Use a language tag such as en-GB or de-DE`);
+        }
+
+        this.timeZone = timeZone || DateService.detectTimeZone();
+        this.locale = locale || DateService.detectLocale();
+        this.partsFormatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+    }
+
+    isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    isValidLocale(locale) {
+        try {
+            return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Format a date with Intl options in the configured zone and locale
+     */
+    format(date, options = {}) {
+        return new Date(date).toLocaleString(this.locale, { timeZone: this.timeZone, ...options });
+    }
+
+    /**
+     * Medium date and time, e.g. "3 Nov 2026, 09:00" (modals and date pickers)
+     */
+    formatDateTime(date) {
+        return this.format(date, {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Numeric date and time, e.g. "03/11/2026, 09:00" (task table)
+     */
+    formatNumeric(date) {
+        return this.format(date, {
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Editable "YYYY-MM-DD HH:MM" wall-clock text that parse() reads back to the same minute
+     */
+    formatInput(date) {
+        const { year, month, day, hour, minute } = this.getParts(date);
+        const pad = n => String(n).padStart(2, '0');
+        return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}`;
+    }
+
+    /**
+     * "YYYY-MM-DD" of the day the date falls on in the configured zone
+     */
+    formatDay(date) {
+        return this.formatInput(date).slice(0, 10);
+    }
+
+    /**
+     * Unambiguous date and time with weekday and zone, e.g. "Fri, 23 Oct 2026, 17:00 BST" (date previews)
+     */
+    formatPreview(date) {
+        return this.format(date, {
+            weekday: 'short',
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            timeZoneName: 'short'
+        });
+    }
+
+    /**
+     * Wall-clock parts of a date in the configured zone (weekday: 0 = Sunday)
+     */
+    getParts(date) {
+        const parts = {};
+        this.partsFormatter.formatToParts(new Date(date)).forEach(({ type, value }) => {
+            if (['year', 'month', 'day', 'hour', 'minute', 'second'].includes(type)) {
+                parts[type] = parseInt(value);
+            }
+        });
+        parts.weekday = this.getWeekday(parts);
+        return parts;
+    }
+
+    /**
+     * The instant at which the configured zone's clock shows the given parts
+     */
+    fromParts({ year, month, day, hour = 0, minute = 0, second = 0 }) {
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+        // Offsets can differ either side of a DST change, so check the guess once more
+        const guess = wallClock - this.getOffset(wallClock);
+        const checked = wallClock - this.getOffset(guess);
+        if (checked === guess) {
+            return new Date(guess);
+        }
+
+        // A time skipped by a spring-forward change (02:30) resolves forward, like the clock (03:30)
+        const shown = this.getParts(checked);
+        if (shown.hour !== hour || shown.minute !== minute) {
+            return new Date(Math.max(guess, checked));
+        }
+        return new Date(checked);
+    }
+
+    /**
+     * Milliseconds the configured zone is ahead of UTC at an instant
+     */
+    getOffset(time) {
+        const instant = Math.floor(time / 1000) * 1000;
+        const p = this.getParts(instant);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instant;
+    }
+
+    /**
+     * Day of the week for a set of parts (0 = Sunday)
+     */
+    getWeekday({ year, month, day }) {
+        return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    }
+
+    /**
+     * Whether two sets of parts fall on the same calendar day
+     */
+    isSameDay(a, b) {
+        return a.year === b.year && a.month === b.month && a.day === b.day;
+    }
+
+    /**
+     * Number of days in a month (month 1-12)
+     */
+    daysInMonth(year, month) {
+        return new Date(Date.UTC(year, month, 0)).getUTCDate();
+    }
+
+    /**
+     * Move parts by a number of calendar days, keeping the time of day
+     */
+    shiftDays(parts, days) {
+        const shifted = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+        const result = {
+            ...parts,
+            year: shifted.getUTCFullYear(),
+            month: shifted.getUTCMonth() + 1,
+            day: shifted.getUTCDate()
+        };
+        result.weekday = this.getWeekday(result);
+        return result;
+    }
+
+    /**
+     * Move parts by a number of months, clamping to the end of shorter months (Jan 31 + 1m = Feb 28)
+     */
+    shiftMonths(parts, months) {
+        const index = parts.year * 12 + (parts.month - 1) + months;
+        const year = Math.floor(index / 12);
+        const month = index - year * 12 + 1;
+        const result = { ...parts, year, month, day: Math.min(parts.day, this.daysInMonth(year, month)) };
+        result.weekday = this.getWeekday(result);
+        return result;
+    }
+
+    /**
+     * Add calendar days to a date in the configured zone (DST-safe)
+     */
+    addDays(date, days) {
+        return this.fromParts(this.shiftDays(this.getParts(date), days));
+    }
+
+    /**
+     * Timestamp of midnight in the configured zone for a date (for day-level comparisons)
+     */
+    startOfDay(date) {
+        const parts = this.getParts(date);
+        return this.fromParts({ year: parts.year, month: parts.month, day: parts.day }).getTime();
+    }
+
+    /**
+     * Parse date input in the configured zone. Supports:
+     *   2026-11-03, 2026-11-03 14:30     wall-clock date (midnight) or date-time
+     *   2026-W45, 2026-W45-5             ISO week (Monday, or day 1-7 of the week)
+     *   today, tomorrow, yesterday       now, or the same time on the next/previous day
+     *   friday, next fri                 the coming Friday (never today), at midnight
+     *   eod, eow, eom, eoy               end (23:59) of today / this week (Sunday) / month / year
+     *   sow, som, soy (next week/month/year)  start of next week (Monday) / month / year
+     *   +3d, +2h, +3w, in 2 weeks        offsets from now (min, h, d, w, m/mo, y)
+     *   any of the above + a time        friday 17:00, mon 9am, tomorrow at 5:30pm
+     *   a time alone                     17:00, at 5pm: today, or tomorrow once that time has passed
+     * Strings with a time and explicit UTC offset (exports) are accepted as-is. Anything else with a
+     * four-digit year is left to the built-in parser (Nov 3 2026, 11/20/2026).
+     */
+    parse(input, now = new Date()) {
+        if (!input || input.trim() === '') return null;
+
+        const text = input.trim().toLowerCase().replace(/\s+/g, ' ');
+
+        // Offsets from now: +3d, +2h, +3w, in 2 weeks
+        const offsetMatch = text.match(/^(?:\+ ?|in )(\d+) ?([a-z]+)$/);
+        if (offsetMatch) {
+            return this.addOffset(now, parseInt(offsetMatch[1]), offsetMatch[2]);
+        }
+
+        // Local date or date-time: 2026-11-03, 2026-11-03 14:30, 2026-11-03T14:30:00
+        const localMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ t](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (localMatch) {
+            const [year, month, day, hour, minute, second] = localMatch.slice(1).map(v => v === undefined ? 0 : parseInt(v));
+            if (month < 1 || month > 12 || day < 1 || day > this.daysInMonth(year, month) || hour > 23 || minute > 59) {
+                throw new Error(`Invalid date "${input.trim()}"`);
+            }
+            return this.fromParts({ year, month, day, hour, minute, second });
+        }
+
+        // ISO timestamp with an explicit offset (2026-11-03T14:30:00.000Z, ...+10:00)
+        if (/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}.*(z|[+-]\d{2}:?\d{2})$/.test(text)) {
+            const date = new Date(input.trim());
+            if (!isNaN(date.getTime())) {
+                return date;
+            }
+        }
+
+        // A day expression, optionally followed by a time of day
+        const timeMatch = text.match(/^(?:(.+?) )?(?:at )?(\d{1,2}(?::\d{2})? ?[ap]m|\d{1,2}:\d{2}|noon|midnight)$/);
+        const dayText = timeMatch && timeMatch[1] !== 'at' ? timeMatch[1] : null;
+        const day = timeMatch && !dayText ? now : this.resolveDay(dayText || text, now);
+
+        if (!day) {
+            throw new Error(`Invalid date "${input.trim()}". Use YYYY-MM-DD [HH:MM], today, tomorrow, friday 17:00, next mon 9am, +3d, +2h, in 2 weeks, eow, eom, som or 2026-W45`);
+        }
+
+        if (timeMatch) {
+            const date = this.fromParts({ ...this.getParts(day), ...this.parseTime(timeMatch[2]), second: 0 });
+            // A time alone is the next time the clock shows it
+            return !dayText && date < now ? this.addDays(date, 1) : date;
+        }
+        return day;
+    }
+
+    /**
+     * Resolve the day part of a date expression (see parse), or null if not recognised
+     */
+    resolveDay(text, now) {
+        const today = this.getParts(now);
+        const midnight = parts => this.fromParts({ year: parts.year, month: parts.month, day: parts.day });
+        const endOfDay = parts => this.fromParts({ year: parts.year, month: parts.month, day: parts.day, hour: 23, minute: 59 });
+
+        switch (text) {
+            case 'now':
+            case 'today':
+                return now;
+            case 'tomorrow':
+                return this.addDays(now, 1);
+            case 'yesterday':
+                return this.addDays(now, -1);
+            case 'eod':
+                return endOfDay(today);
+            case 'eow':
+                return endOfDay(this.shiftDays(today, (7 - today.weekday) % 7));
+            case 'eom':
+                return endOfDay({ ...today, day: this.daysInMonth(today.year, today.month) });
+            case 'eoy':
+                return endOfDay({ year: today.year, month: 12, day: 31 });
+            case 'sow':
+            case 'next week':
+                return midnight(this.shiftDays(today, 7 - (today.weekday + 6) % 7));
+            case 'som':
+            case 'next month':
+                return midnight(this.shiftMonths({ ...today, day: 1 }, 1));
+            case 'soy':
+            case 'next year':
+                return midnight({ year: today.year + 1, month: 1, day: 1 });
+        }
+
+        // Weekday names: friday, fri, next friday
+        const weekdayMatch = text.match(/^(?:next )?([a-z]+)$/);
+        if (weekdayMatch) {
+            const weekday = this.parseWeekday(weekdayMatch[1]);
+            if (weekday !== null) {
+                const ahead = (weekday - today.weekday + 7) % 7 || 7;
+                return midnight(this.shiftDays(today, ahead));
+            }
+        }
+
+        // ISO week: 2026-W45 (Monday) or 2026-W45-5 (Friday)
+        const weekMatch = text.match(/^(\d{4})-?w(\d{1,2})(?:-?([1-7]))?$/);
+        if (weekMatch) {
+            return midnight(this.fromIsoWeek(parseInt(weekMatch[1]), parseInt(weekMatch[2]), weekMatch[3] ? parseInt(weekMatch[3]) : 1));
+        }
+
+        // Built-in parser, only with a full year and more (it guesses the rest otherwise, and reads
+        // 2026 or 2026-11 as UTC): Nov 3 2026, 11/20/2026. Its wall-clock reading is taken in the
+        // configured zone unless the text names a zone.
+        if (/\d{4}/.test(text) && !/^[\d-]+$/.test(text)) {
+            const parsed = new Date(text.replace(/,$/, ''));
+            if (!isNaN(parsed.getTime())) {
+                if (/(?:gmt|utc|z|[+-]\d{2}:?\d{2})$/.test(text)) {
+                    return parsed;
+                }
+                return this.fromParts({
+                    year: parsed.getFullYear(),
+                    month: parsed.getMonth() + 1,
+                    day: parsed.getDate(),
+                    hour: parsed.getHours(),
+                    minute: parsed.getMinutes()
+                });
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Day of the week (0 = Sunday) for an English day name or abbreviation, or null
+     */
+    parseWeekday(name) {
+        const names = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+        const index = names.findIndex(day => name.length >= 3 && day.startsWith(name));
+        return index === -1 ? null : index;
+    }
+
+    /**
+     * Parts for day 1-7 (Monday-Sunday) of an ISO 8601 week
+     */
+    fromIsoWeek(year, week, weekday) {
+        // Week 1 is the week containing January 4th
+        const jan4 = { year, month: 1, day: 4 };
+        const week1Monday = this.shiftDays(jan4, -((this.getWeekday(jan4) + 6) % 7));
+        const weeksInYear = this.getIsoWeek({ year, month: 12, day: 28 }).week;
+        if (week < 1 || week > weeksInYear) {
+            throw new Error(`Invalid ISO week ${year}-W${week} (${year} has ${weeksInYear} weeks)`);
+        }
+        return this.shiftDays(week1Monday, (week - 1) * 7 + weekday - 1);
+    }
+
+    /**
+     * ISO 8601 week number of a set of parts: { year, week }
+     */
+    getIsoWeek(parts) {
+        // The week belongs to the year of its Thursday
+        const thursday = this.shiftDays(parts, 3 - (this.getWeekday(parts) + 6) % 7);
+        const jan1 = Date.UTC(thursday.year, 0, 1);
+        const dayOfYear = (Date.UTC(thursday.year, thursday.month - 1, thursday.day) - jan1) / 86400000;
+        return { year: thursday.year, week: Math.floor(dayOfYear / 7) + 1 };
+    }
+
+    /**
+     * Parse a time of day: 17:00, 9am, 5:30pm, noon, midnight -> { hour, minute }
+     */
+    parseTime(text) {
+        if (text === 'noon') return { hour: 12, minute: 0 };
+        if (text === 'midnight') return { hour: 0, minute: 0 };
+
+        const match = text.match(/^(\d{1,2})(?::(\d{2}))? ?([ap]m)?$/);
+        let hour = parseInt(match[1]);
+        const minute = match[2] ? parseInt(match[2]) : 0;
+        const meridiem = match[3];
+
+        if (meridiem) {
+            if (hour < 1 || hour > 12) {
+                throw new Error(`Invalid time "${text}" (use 1-12 with am/pm)`);
+            }
+            hour = hour % 12 + (meridiem === 'pm' ? 12 : 0);
+        }
+        if (hour > 23 || minute > 59) {
+            throw new Error(`Invalid time "${text}"`);
+        }
+
+        return { hour, minute };
+    }
+
+    /**
+     * Add an amount of min/h/d/w/m/y to a date (days and larger keep the wall-clock time)
+     */
+    addOffset(date, amount, unit) {
+        const units = {
+            min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute',
+            h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+            d: 'day', day: 'day', days: 'day',
+            w: 'week', wk: 'week', wks: 'week', week: 'week', weeks: 'week',
+            m: 'month', mo: 'month', mos: 'month', month: 'month', months: 'month',
+            y: 'year', yr: 'year', yrs: 'year', year: 'year', years: 'year'
+        };
+
+        switch (units[unit]) {
+            case 'minute':
+                return new Date(new Date(date).getTime() + amount * 60000);
+            case 'hour':
+                return new Date(new Date(date).getTime() + amount * 3600000);
+            case 'day':
+                return this.addDays(date, amount);
+            case 'week':
+                return this.addDays(date, amount * 7);
+            case 'month':
+                return this.fromParts(this.shiftMonths(this.getParts(date), amount));
+            case 'year':
+                return this.fromParts(this.shiftMonths(this.getParts(date), amount * 12));
+            default:
+                throw new Error(`Unknown time unit "${unit}" (use min, h, d, w, m or y)`);
+        }
+    }
+}
@@ -0,0 +1,342 @@
+/**
+ * FilterParser - Tokenizes and parses boolean filter expressions
+ *
+ * Grammar:
+ *   expression := or
+ *   or         := and ("or" and)*
+ *   and        := unary (["and"] unary)*      adjacent terms are ANDed
+ *   unary      := "not" unary | primary
+ *   primary    := "(" expression ")" | field operator value
+ *
+ * Examples:
+ *   (priority=High or priority=Critical) and project=Alpha and not status=Completed
+ *   Filter_ID=[1~10] Filter_Tag!="someday"
+ *   name~report and due<2026-12-01
+ *   project=Client             matches Client and its dotted subprojects (Client.Website, ...)
+ *   project==Client            matches Client only
+ */
+
+class FilterParser {
+    /**
+     * @param {Object} options
+     * @param {Function} [options.normalizeValue] - (field, value, operator) => value; may throw to reject a value
+     */
+    constructor(options = {}) {
+        this.normalizeValue = options.normalizeValue || null;
+
+        // Field name -> value type
+        this.fields = {
+            id: 'number',
+            parent: 'number',
+            name: 'text',
+            project: 'text',
+            priority: 'text',
+            status: 'text',
+            tag: 'text',
+            notes: 'text',
+            due: 'date',
+            scheduled: 'date',
+            wait: 'date',
+            until: 'date'
+        };
+
+        this.fieldAliases = {
+            tags: 'tag',
+            pri: 'priority',
+            parentid: 'parent',
+            sched: 'scheduled'
+        };
+
+        // Operators allowed for each value type
+        this.operators = {
+            number: ['=', '!=', '<', '>', '<=', '>='],
+            date: ['=', '!=', '<', '>', '<=', '>='],
+            text: ['=', '==', '!=', '~']
+        };
+    }
+
+    /**
+     * Parse an expression string into an AST
+     * Nodes: { type: 'and'|'or', operands: [...] }, { type: 'not', operand },
+     *        { type: 'comparison', field, operator, value }
+     */
+    parse(input) {
+        if (!input || input.trim() === '') {
+            throw new Error('Empty filter expression');
+        }
+
+        this.input = input;
+        this.tokens = this.tokenize(input);
+        this.position = 0;
+
+        const ast = this.parseOr();
+
+        const token = this.peek();
+        if (token.type !== 'eof') {
+            throw this.error(`Unexpected ${this.describe(token)}`, token);
+        }
+
+        return ast;
+    }
+
+    /**
+     * Split the input into tokens, each tagged with its offset in the input
+     */
+    tokenize(input) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < input.length) {
+            const ch = input[i];
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            if (ch === '(' || ch === ')') {
+                tokens.push({ type: ch === '(' ? 'lparen' : 'rparen', value: ch, pos: i });
+                i++;
+                continue;
+            }
+
+            // Operators: = == != ~ < > <= >=
+            const opMatch = input.slice(i).match(/^(==|!=|<=|>=|=|~|<|>)/);
+            if (opMatch) {
+                tokens.push({ type: 'operator', value: opMatch[1], pos: i });
+                i += opMatch[1].length;
+                continue;
+            }
+
+            // Quoted string
+            if (ch === '"' || ch === "'") {
+                const end = input.indexOf(ch, i + 1);
+                if (end === -1) {
+                    throw this.error('Unterminated string', { pos: i });
+                }
+                tokens.push({ type: 'string', value: input.slice(i + 1, end), pos: i });
+                i = end + 1;
+                continue;
+            }
+
+            // List or range: [1,2,5] or [1~10]
+            if (ch === '[') {
+                const end = input.indexOf(']', i + 1);
+                if (end === -1) {
+                    throw this.error('Missing closing "]"', { pos: i });
+                }
+                tokens.push({ type: 'list', value: input.slice(i + 1, end), pos: i });
+                i = end + 1;
+                continue;
+            }
+
+            if (ch === ']') {
+                throw this.error('Unexpected "]"', { pos: i });
+            }
+
+            // Bare word (field name, keyword or unquoted value)
+            const wordMatch = input.slice(i).match(/^[^\s()=!~<>"'[\]]+/);
+            if (!wordMatch) {
+                throw this.error(`Unexpected character "${ch}"`, { pos: i });
+            }
+            const word = wordMatch[0];
+            const keyword = word.toLowerCase();
+            const type = ['and', 'or', 'not'].includes(keyword) ? keyword : 'word';
+            tokens.push({ type, value: word, pos: i });
+            i += word.length;
+        }
+
+        tokens.push({ type: 'eof', value: '', pos: input.length });
+        return tokens;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    parseOr() {
+        const operands = [this.parseAnd()];
+
+        while (this.peek().type === 'or') {
+            this.next();
+            operands.push(this.parseAnd());
+        }
+
+        return operands.length === 1 ? operands[0] : { type: 'or', operands };
+    }
+
+    parseAnd() {
+        const operands = [this.parseUnary()];
+
+        while (true) {
+            const token = this.peek();
+            if (token.type === 'and') {
+                this.next();
+                operands.push(this.parseUnary());
+            } else if (['not', 'lparen', 'word'].includes(token.type)) {
+                // Implicit AND between adjacent terms
+                operands.push(this.parseUnary());
+            } else {
+                break;
+            }
+        }
+
+        return operands.length === 1 ? operands[0] : { type: 'and', operands };
+    }
+
+    parseUnary() {
+        if (this.peek().type === 'not') {
+            this.next();
+            return { type: 'not', operand: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'lparen') {
+            this.next();
+            const expression = this.parseOr();
+            const closing = this.peek();
+            if (closing.type !== 'rparen') {
+                throw this.error(`Expected ")" to close "(" at position ${token.pos + 1} but found ${this.describe(closing)}`, closing);
+            }
+            this.next();
+            return expression;
+        }
+
+        if (token.type === 'word') {
+            return this.parseComparison();
+        }
+
+        throw this.error(`Expected a field name or "(" but found ${this.describe(token)}`, token);
+    }
+
+    parseComparison() {
+        const fieldToken = this.next();
+        const field = this.resolveField(fieldToken.value);
+        if (!field) {
+            throw this.error(`Unknown field "${fieldToken.value}" (use ${Object.keys(this.fields).join(', ')})`, fieldToken);
+        }
+
+        const opToken = this.peek();
+        if (opToken.type !== 'operator') {
+            throw this.error(`Expected an operator (=, ==, !=, ~, <, >, <=, >=) after "${fieldToken.value}" but found ${this.describe(opToken)}`, opToken);
+        }
+        this.next();
+
+        const type = this.fields[field];
+        if (!this.operators[type].includes(opToken.value)) {
+            throw this.error(`Operator "${opToken.value}" cannot be used with ${field} (use ${this.operators[type].join(', ')})`, opToken);
+        }
+
+        const valueToken = this.peek();
+        if (!['word', 'string', 'list'].includes(valueToken.type)) {
+            throw this.error(`Expected a value after "${opToken.value}" but found ${this.describe(valueToken)}`, valueToken);
+        }
+        this.next();
+
+        let value = this.parseValue(field, opToken.value, valueToken);
+
+        if (this.normalizeValue) {
+            try {
+                value = Array.isArray(value)
+                    ? value.map(v => this.normalizeValue(field, v, opToken.value))
+                    : this.normalizeValue(field, value, opToken.value);
+            } catch (error) {
+                throw this.error(error.message, valueToken);
+            }
+        }
+
+        return { type: 'comparison', field, operator: opToken.value, value };
+    }
+
+    /**
+     * Map a field name (optionally with the legacy Filter_ prefix) to its canonical name
+     */
+    resolveField(name) {
+        const lower = name.toLowerCase().replace(/^filter_/, '');
+        if (this.fields[lower]) return lower;
+        return this.fieldAliases[lower] || null;
+    }
+
+    /**
+     * Convert a value token into a number, string or list according to the field type
+     */
+    parseValue(field, operator, token) {
+        const type = this.fields[field];
+
+        if (token.type === 'list') {
+            if (operator !== '=' && operator !== '!=') {
+                throw this.error(`A list can only be used with = or != (found "${operator}")`, token);
+            }
+
+            const inner = token.value.trim();
+            if (inner.includes('~')) {
+                if (type !== 'number') {
+                    throw this.error(`A range can only be used with id or parent`, token);
+                }
+                const [start, end] = inner.split('~').map(n => this.parseNumber(field, n.trim(), token));
+                if (start > end) {
+                    throw this.error(`Invalid range [${inner}]: start is greater than end`, token);
+                }
+                const ids = [];
+                for (let i = start; i <= end; i++) {
+                    ids.push(i);
+                }
+                return ids;
+            }
+
+            const items = inner.split(',').map(item => item.trim()).filter(item => item !== '');
+            if (items.length === 0) {
+                throw this.error('Empty list', token);
+            }
+            return items.map(item => this.parseScalar(field, item, token));
+        }
+
+        return this.parseScalar(field, token.value, token);
+    }
+
+    parseScalar(field, raw, token) {
+        const type = this.fields[field];
+        if (type === 'number') {
+            return this.parseNumber(field, raw, token);
+        }
+        if (field === 'tag') {
+            return raw.replace(/^\+/, '');
+        }
+        return raw;
+    }
+
+    parseNumber(field, raw, token) {
+        if (!/^\d+$/.test(raw)) {
+            throw this.error(`Expected a number for ${field} but found "${raw}"`, token);
+        }
+        return parseInt(raw);
+    }
+
+    /**
+     * Human-readable description of a token for error messages
+     */
+    describe(token) {
+        if (token.type === 'eof') return 'end of filter';
+        if (token.type === 'string') return `"${token.value}"`;
+        if (token.type === 'list') return `[${token.value}]`;
+        return `"${token.value}"`;
+    }
+
+    /**
+     * Build an error pointing at a token's position (1-based)
+     */
+    error(message, token) {
+        const where = token.type === 'eof' || token.pos >= (this.input || '').length
+            ? ''
+            : ` at position ${token.pos + 1}`;
+        return new Error(`Filter error${where}: ${message}`);
+    }
+}
@@ -6,13 +6,54 @@ class TaskManager {
     constructor() {
         this.db = null;
         this.dbName = 'TaskManagerDB';
-        this.dbVersion = 1;
+        this.dbVersion = 11;
         this.storeName = 'tasks';
 
-        // Action history for undo/redo
+        // Action history for undo/redo (mirrors the persistent 'history' store)
         this.undoStack = [];
         this.redoStack = [];
-        this.maxHistorySize = 20;
+        this.maxHistorySize = 20; // Default undo depth, overridden by the 'historyDepth' metadata
+        this.pendingBatch = null; // Actions collected by recordBatch
+
+        // User settings (persisted under the 'settings' metadata key); null = follow the browser
+        this.defaultSettings = {
+            timeZone: null,
+            locale: null,
+            sortByScheduled: true, // Default sort puts tasks scheduled in the future after ready ones
+            // Urgency = sum of each factor (0-1) times its coefficient (see calculateUrgency)
+            urgency: {
+                priority: 6.0,    // Critical 1.0, High 0.8, Medium 0.5, Low 0.2
+                due: 12.0,        // 0.2 two weeks or more before due, rising to 1.0 a week overdue
+                age: 2.0,         // Grows to 1.0 over a year since creation
+                blocking: 8.0,    // Open tasks depend on it
+                blocked: -5.0,    // Has open prerequisites
+                tags: 1.0,        // 0.8, 0.9, 1.0 for 1, 2, 3+ tags
+                inProgress: 4.0,  // Already started
+                children: -1.0    // Has open subtasks (the work happens in them)
+            }
+        };
+        this.settings = { ...this.defaultSettings };
+        this.dates = new DateService();
+        this.backupFormat = new BackupFormat({
+            parseRecurrence: rule => this.parseRecurrence(rule),
+            parseEstimate: estimate => this.parseEstimate(estimate),
+            generateUuid: () => this.generateUuid()
+        });
+        this.taskwarrior = new TaskwarriorFormat({
+            parseRecurrence: rule => this.parseRecurrence(rule),
+            generateUuid: () => this.generateUuid()
+        });
+        this.todoTxt = new TodoTxtFormat({
+            parseDate: text => this.parseDate(text),
+            formatDay: date => this.dates.formatDay(date),
+            generateUuid: () => this.generateUuid()
+        });
+
+        // Filter field name -> task property for date fields
+        this.dateFields = { due: 'dueDate', scheduled: 'scheduled', wait: 'wait', until: 'until' };
+
+        // Working hours in an estimated day ("3d" = 24h); a week is five days
+        this.hoursPerDay = 8;
     }
 
     /**
@@ -28,11 +69,15 @@ class TaskManager {
 
             request.onsuccess = (event) => {
                 this.db = event.target.result;
-                resolve();
+                this.loadSettings()
+                    .then(() => this.loadHistory())
+                    .then(resolve, reject);
             };
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
+                const tx = event.target.transaction;
+                const oldVersion = event.oldVersion;
 
                 // Create object store if it doesn't exist
                 if (!db.objectStoreNames.contains(this.storeName)) {
@@ -49,6 +94,94 @@ class TaskManager {
                 if (!db.objectStoreNames.contains('metadata')) {
                     db.createObjectStore('metadata', { keyPath: 'key' });
                 }
+
+                // v4: undo/redo journal that survives reloads
+                if (!db.objectStoreNames.contains('history')) {
+                    const historyStore = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+                    historyStore.createIndex('stack', 'stack', { unique: false });
+                }
+
+                // v5: per-task field-level changelog
+                if (!db.objectStoreNames.contains('changelog')) {
+                    const changelogStore = db.createObjectStore('changelog', { keyPath: 'id', autoIncrement: true });
+                    changelogStore.createIndex('taskId', 'taskId', { unique: false });
+                }
+
+                const taskStore = tx.objectStore(this.storeName);
+                // Fields added by this upgrade, with the value existing tasks get
+                const fieldDefaults = {};
+
+                // v2: tags array with a multiEntry index (one index entry per tag)
+                if (oldVersion < 2) {
+                    if (!taskStore.indexNames.contains('tags')) {
+                        taskStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+                    }
+                    fieldDefaults.tags = [];
+                }
+
+                // v3: dependsOn list of prerequisite IDs, indexed to find dependents
+                if (oldVersion < 3) {
+                    if (!taskStore.indexNames.contains('dependsOn')) {
+                        taskStore.createIndex('dependsOn', 'dependsOn', { unique: false, multiEntry: true });
+                    }
+                    fieldDefaults.dependsOn = [];
+                }
+
+                // v6: scheduled (planned start) and wait (hidden until) dates; until (expiry) existed
+                // already for recurring tasks and now applies to every task
+                if (oldVersion < 6) {
+                    fieldDefaults.scheduled = null;
+                    fieldDefaults.wait = null;
+                    fieldDefaults.until = null;
+                }
+
+                // v7: creation time for the urgency age factor (unknown for older tasks)
+                if (oldVersion < 7) {
+                    fieldDefaults.createdAt = null;
+                }
+
+                // v8: tracked time intervals [{ start, end }] (end null while the timer runs)
+                if (oldVersion < 8) {
+                    fieldDefaults.timeLog = [];
+                }
+
+                // v9: effort estimate { value, unit: 'h' | 'pt' }
+                if (oldVersion < 9) {
+                    fieldDefaults.estimate = null;
+                }
+
+                // v10: stable UUID per task, kept across exports and imports (e.g. Taskwarrior);
+                // a function default is called once per task
+                if (oldVersion < 10) {
+                    fieldDefaults.uuid = () => this.generateUuid();
+                }
+
+                // v11: recurrence fields were added without a backfill, so older tasks lack them
+                if (oldVersion < 11) {
+                    fieldDefaults.recur = null;
+                    fieldDefaults.nextInstanceId = null;
+                }
+
+                // Backfill new fields on existing tasks (single cursor pass so
+                // updates for different versions don't overwrite each other)
+                const newFields = Object.keys(fieldDefaults);
+                if (newFields.length > 0) {
+                    taskStore.openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor) return;
+                        const missing = newFields.filter(field => cursor.value[field] === undefined);
+                        if (missing.length > 0) {
+                            const updated = { ...cursor.value };
+                            missing.forEach(field => {
+                                updated[field] = typeof fieldDefaults[field] === 'function'
+                                    ? fieldDefaults[field]()
+                                    : fieldDefaults[field];
+                            });
+                            cursor.update(updated);
+                        }
+                        cursor.continue();
+                    };
+                }
             };
         });
     }
@@ -77,10 +210,227 @@ class TaskManager {
         });
     }
 
+    /**
+     * Random RFC 4122 version 4 UUID (tasks keep theirs for their whole life)
+     */
+    generateUuid() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * Read a value from the metadata store
+     */
+    async getMetadata(key, defaultValue = null) {
+        const tx = this.db.transaction(['metadata'], 'readonly');
+        const store = tx.objectStore('metadata');
+
+        return new Promise((resolve, reject) => {
+            const request = store.get(key);
+            request.onsuccess = () => resolve(request.result ? request.result.value : defaultValue);
+            request.onerror = () => reject(new Error(`Failed to read ${key}`));
+        });
+    }
+
+    /**
+     * Write a value to the metadata store
+     */
+    async setMetadata(key, value) {
+        const tx = this.db.transaction(['metadata'], 'readwrite');
+        const store = tx.objectStore('metadata');
+
+        return new Promise((resolve, reject) => {
+            const request = store.put({ key, value });
+            request.onsuccess = () => resolve(value);
+            request.onerror = () => reject(new Error(`Failed to save ${key}`));
+        });
+    }
+
+    /**
+     * Load settings and configure the date service
+     */
+    async loadSettings() {
+        const stored = await this.getMetadata('settings', {});
+        this.settings = {
+            ...this.defaultSettings,
+            ...stored,
+            urgency: { ...this.defaultSettings.urgency, ...stored.urgency }
+        };
+
+        try {
+            this.dates.configure(this.settings);
+        } catch (error) {
+            // A zone the browser no longer knows falls back to the browser's own
+            this.dates.configure(this.defaultSettings);
+        }
+
+        return this.settings;
+    }
+
+    /**
+     * Change one or more settings (validated before anything is saved)
+     * A null or 'auto' timezone/locale follows the browser. `urgency` takes
+     * { coefficient: number|null } and only changes the coefficients given (null = default).
+     */
+    async updateSettings(changes) {
+        const settings = { ...this.settings };
+
+        for (const [key, value] of Object.entries(changes)) {
+            if (!(key in this.defaultSettings)) {
+                throw new Error(`Unknown setting "${key}" (use ${Object.keys(this.defaultSettings).join(', ')})`);
+            }
+            if (key === 'urgency') {
+                settings.urgency = this.mergeUrgencyCoefficients(settings.urgency, value);
+                continue;
+            }
+            settings[key] = value === 'auto' ? null : value;
+        }
+
+        // Throws on an unknown timezone or locale
+        this.dates.configure(settings);
+
+        this.settings = settings;
+        await this.setMetadata('settings', settings);
+        return settings;
+    }
+
+    /**
+     * Apply urgency coefficient changes; a null value restores the default
+     */
+    mergeUrgencyCoefficients(current, changes) {
+        const defaults = this.defaultSettings.urgency;
+        const merged = { ...current };
+
+        for (const [name, value] of Object.entries(changes || {})) {
+            if (!(name in defaults)) {
+                throw new Error(`Unknown urgency coefficient "${name}" (use ${Object.keys(defaults).join(', ')})`);
+            }
+            if (value === null) {
+                merged[name] = defaults[name];
+            } else if (typeof value !== 'number' || !isFinite(value)) {
+                throw new Error(`Urgency coefficient "${name}" must be a number`);
+            } else {
+                merged[name] = value;
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Get all saved views, keyed by name
+     */
+    async getViews() {
+        return await this.getMetadata('views', {});
+    }
+
+    /**
+     * Get a saved view by name (case-insensitive)
+     */
+    async getView(name) {
+        const views = await this.getViews();
+        const key = Object.keys(views).find(k => k.toLowerCase() === name.toLowerCase());
+        return key ? views[key] : null;
+    }
+
+    /**
+     * Save (or overwrite) a named view
+     * view: { filterExpression, sort, collapsedTaskIds }
+     */
+    async saveView(name, view) {
+        if (!/^[\w-]+$/.test(name)) {
+            throw new Error('View names may only contain letters, numbers, "-" and "_"');
+        }
+
+        const views = await this.getViews();
+
+        // Replace an existing view regardless of case
+        const existing = Object.keys(views).find(k => k.toLowerCase() === name.toLowerCase());
+        if (existing) delete views[existing];
+
+        const saved = {
+            name,
+            filterExpression: view.filterExpression || null,
+            sort: view.sort || null,
+            collapsedTaskIds: view.collapsedTaskIds || [],
+            savedAt: new Date().toISOString()
+        };
+        views[name] = saved;
+
+        await this.setMetadata('views', views);
+        return saved;
+    }
+
+    /**
+     * Delete a named view (also clears it as the default view)
+     */
+    async deleteView(name) {
+        const views = await this.getViews();
+        const key = Object.keys(views).find(k => k.toLowerCase() === name.toLowerCase());
+        if (!key) {
+            throw new Error(`View "${name}" not found`);
+        }
+
+        delete views[key];
+        await this.setMetadata('views', views);
+
+        const defaultView = await this.getDefaultView();
+        if (defaultView && defaultView.toLowerCase() === key.toLowerCase()) {
+            await this.setDefaultView(null);
+        }
+
+        return key;
+    }
+
+    /**
+     * Get the name of the view applied on startup
+     */
+    async getDefaultView() {
+        return await this.getMetadata('defaultView', null);
+    }
+
+    /**
+     * Set the view applied on startup (null to clear)
+     */
+    async setDefaultView(name) {
+        if (name !== null) {
+            const view = await this.getView(name);
+            if (!view) {
+                throw new Error(`View "${name}" not found`);
+            }
+            name = view.name;
+        }
+        return await this.setMetadata('defaultView', name);
+    }
+
     /**
      * Create a new task
      */
     async createTask(taskData) {
+        const task = await this.createTaskWithoutHistory(taskData);
+
+        // Record action for undo
+        await this.recordAction({
+            type: 'create',
+            taskId: task.id,
+            timestamp: new Date().toISOString()
+        });
+
+        return task;
+    }
+
+    /**
+     * Create a task without recording to history (for tasks spawned as a side effect)
+     */
+    async createTaskWithoutHistory(taskData) {
         // Validation
         if (!taskData.name || taskData.name.trim() === '') {
             throw new Error('Task name is required');
@@ -99,6 +449,13 @@ class TaskManager {
             }
         }
 
+        // Validate prerequisites (a new task can't be part of a cycle yet)
+        const dependsOn = await this.validateDependencies(null, taskData.dependsOn || []);
+
+        // Validate recurrence rule and estimate
+        const recur = taskData.recur ? this.parseRecurrence(taskData.recur) : null;
+        const estimate = this.parseEstimate(taskData.estimate);
+
         const taskId = await this.getNextId();
 
         // Create task object
@@ -109,13 +466,29 @@ class TaskManager {
             status: taskData.status || 'Not Started',
             project: taskData.project || null,
             priority: taskData.priority || 'Medium',
+            tags: this.normalizeTags(taskData.tags),
             notes: taskData.notes || [],
             parentTaskId: taskData.parentTaskId !== undefined ? taskData.parentTaskId : null,
             childTaskIds: [],
+            dependsOn,
+            recur,
+            scheduled: taskData.scheduled || null,
+            wait: taskData.wait || null,
+            until: taskData.until || null,
+            createdAt: new Date().toISOString(),
+            timeLog: [],
+            estimate,
+            uuid: this.generateUuid(),
+            nextInstanceId: null,
             deleted: false,
             deletedAt: null
         };
 
+        // A task created with open prerequisites starts out Blocked
+        if (taskData.status === undefined) {
+            await this.syncBlockedStatus(task, false);
+        }
+
         // Save task
         await this.saveTask(task);
 
@@ -128,12 +501,7 @@ class TaskManager {
             }
         }
 
-        // Record action for undo
-        this.recordAction({
-            type: 'create',
-            taskId: task.id,
-            timestamp: new Date().toISOString()
-        });
+        await this.logChange(task.id, 'created');
 
         return task;
     }
@@ -155,38 +523,42 @@ class TaskManager {
 
     /**
      * Update an existing task
+     * Cascaded changes (auto-completed children or parent) are recorded with it as one undo step.
      */
     async updateTask(taskId, updates) {
+        return await this.recordBatch('modify', () => this.applyTaskUpdate(taskId, updates), { taskId });
+    }
+
+    /**
+     * Apply updates to a task and record the change (use updateTask)
+     */
+    async applyTaskUpdate(taskId, updates) {
         const task = await this.getTaskById(taskId);
         if (!task) {
             throw new Error(`Task with ID ${taskId} not found`);
         }
 
+        // Validate prerequisite and recurrence changes before touching anything
+        if (updates.dependsOn !== undefined) {
+            updates = { ...updates, dependsOn: await this.validateDependencies(taskId, updates.dependsOn) };
+        }
+        if (updates.recur) {
+            updates = { ...updates, recur: this.parseRecurrence(updates.recur) };
+        }
+        if (updates.estimate !== undefined) {
+            updates = { ...updates, estimate: this.parseEstimate(updates.estimate) };
+        }
+        const hadOpenPrerequisites = await this.hasOpenPrerequisites(task);
+
         // Save previous state for undo
-        const previousState = {
-            name: task.name,
-            dueDate: task.dueDate,
-            status: task.status,
-            project: task.project,
-            priority: task.priority,
-            notes: [...task.notes],
-            parentTaskId: task.parentTaskId
-        };
+        const previousState = this.getUndoState(task);
 
-        // Validate parent task change if specified
+        // Validate parent task change if specified; every check runs before either parent is written,
+        // so a rejected move (e.g. one row of a bulk modify) leaves both sides of the link unchanged
         if (updates.parentTaskId !== undefined && updates.parentTaskId !== task.parentTaskId) {
-            // Remove from old parent
-            if (task.parentTaskId !== null) {
-                const oldParent = await this.getTaskById(task.parentTaskId);
-                if (oldParent) {
-                    oldParent.childTaskIds = oldParent.childTaskIds.filter(id => id !== taskId);
-                    await this.saveTask(oldParent);
-                }
-            }
-
-            // Validate new parent
+            let newParent = null;
             if (updates.parentTaskId !== null) {
-                const newParent = await this.getTaskById(updates.parentTaskId);
+                newParent = await this.getTaskById(updates.parentTaskId);
                 if (!newParent) {
                     throw new Error(`Parent task with ID ${updates.parentTaskId} not found`);
                 }
@@ -201,12 +573,22 @@ class TaskManager {
                 if (await this.isDescendant(updates.parentTaskId, task.id)) {
                     throw new Error('Cannot set parent: Would create circular reference');
                 }
-                // Add to new parent
-                if (!newParent.childTaskIds.includes(taskId)) {
-                    newParent.childTaskIds.push(taskId);
-                    await this.saveTask(newParent);
+            }
+
+            // Remove from old parent
+            if (task.parentTaskId !== null) {
+                const oldParent = await this.getTaskById(task.parentTaskId);
+                if (oldParent) {
+                    oldParent.childTaskIds = oldParent.childTaskIds.filter(id => id !== taskId);
+                    await this.saveTask(oldParent);
                 }
             }
+
+            // Add to new parent
+            if (newParent && !newParent.childTaskIds.includes(taskId)) {
+                newParent.childTaskIds.push(taskId);
+                await this.saveTask(newParent);
+            }
         }
 
         // Apply updates
@@ -216,98 +598,473 @@ class TaskManager {
             }
         });
 
+        if (updates.tags !== undefined) {
+            task.tags = this.normalizeTags(updates.tags);
+        }
+
+        // Prerequisites changed: move to/from Blocked unless status was set explicitly
+        if (updates.dependsOn !== undefined && updates.status === undefined) {
+            await this.syncBlockedStatus(task, hadOpenPrerequisites);
+        }
+
         // Auto-remove priority when task is completed (pushes to bottom of list)
         if (task.status === 'Completed' && task.priority !== null) {
             task.priority = null;
         }
 
+        // Completing a task stops its timer
+        if (task.status === 'Completed' && this.isTimerRunning(task)) {
+            task.timeLog = this.closeTimeLog(task.timeLog);
+        }
+
         // Auto-complete all descendants when task is completed
         if (task.status === 'Completed') {
             await this.completeAllDescendants(task);
         }
 
+        // Completing a recurring task spawns its next occurrence (once per instance)
+        let spawnedTaskId = null;
+        if (task.status === 'Completed' && previousState.status !== 'Completed' &&
+            task.recur && !task.nextInstanceId) {
+            const nextTask = await this.spawnNextOccurrence(task, previousState.priority);
+            if (nextTask) {
+                task.nextInstanceId = nextTask.id;
+                spawnedTaskId = nextTask.id;
+            }
+        }
+
         await this.saveTask(task);
 
         // Record action for undo
-        const newState = {
-            name: task.name,
-            dueDate: task.dueDate,
-            status: task.status,
-            project: task.project,
-            priority: task.priority,
-            notes: [...task.notes],
-            parentTaskId: task.parentTaskId
-        };
+        const newState = this.getUndoState(task);
+        await this.logStateChange(task.id, previousState, newState);
 
-        this.recordAction({
+        await this.recordAction({
             type: 'modify',
             taskId: task.id,
             previousState: previousState,
             newState: newState,
+            spawnedTaskId: spawnedTaskId,
             timestamp: new Date().toISOString()
         });
 
         // Auto-complete parent if all children are completed
         await this.checkAndCompleteParent(task);
 
+        // Completing (or reopening) a prerequisite unblocks (or re-blocks) its dependents
+        if (previousState.status !== task.status) {
+            await this.updateDependents(task.id);
+        }
+
         return task;
     }
 
     /**
-     * Check if all sibling tasks are completed, and if so, complete the parent
+     * Capture the user-editable fields of a task (for undo/redo)
      */
-    async checkAndCompleteParent(task) {
-        // Only check if task was just completed and has a parent
-        if (task.status !== 'Completed' || !task.parentTaskId) {
-            return;
-        }
+    getUndoState(task) {
+        return {
+            name: task.name,
+            dueDate: task.dueDate,
+            status: task.status,
+            project: task.project,
+            priority: task.priority,
+            tags: [...(task.tags || [])],
+            notes: [...task.notes],
+            dependsOn: [...(task.dependsOn || [])],
+            recur: task.recur || null,
+            scheduled: task.scheduled || null,
+            wait: task.wait || null,
+            until: task.until || null,
+            timeLog: (task.timeLog || []).map(entry => ({ ...entry })),
+            estimate: task.estimate ? { ...task.estimate } : null,
+            nextInstanceId: task.nextInstanceId || null,
+            parentTaskId: task.parentTaskId
+        };
+    }
 
-        const parent = await this.getTaskById(task.parentTaskId);
-        if (!parent || parent.status === 'Completed') {
-            return;
+    /**
+     * Parse an effort estimate: time ("90m", "2h", "1.5h", "3d", "1w") or story points ("5pt", "5sp")
+     * Returns { value, unit } with unit 'h' (days and weeks converted with hoursPerDay) or 'pt',
+     * or null for an empty value / "none". Already-parsed estimates are validated and returned.
+     */
+    parseEstimate(input) {
+        if (input === null || input === undefined) return null;
+
+        if (typeof input === 'object') {
+            if (!['h', 'pt'].includes(input.unit) || typeof input.value !== 'number' || !(input.value > 0)) {
+                throw new Error('Invalid estimate');
+            }
+            return { value: input.value, unit: input.unit };
         }
 
-        // Get all children of the parent
-        const allChildrenCompleted = await this.areAllChildrenCompleted(parent);
+        const text = String(input).trim().toLowerCase();
+        if (text === '' || text === 'none') return null;
 
-        if (allChildrenCompleted) {
-            parent.status = 'Completed';
-            await this.saveTask(parent);
+        const match = text.match(/^(\d+(?:\.\d+)?)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?|w|wks?|weeks?|pts?|sp|points?)$/);
+        if (!match || parseFloat(match[1]) <= 0) {
+            throw new Error(`Invalid estimate "${input}" (use e.g. 90m, 2h, 3d, 1w or 5pt)`);
+        }
+
+        const amount = parseFloat(match[1]);
+        const unit = match[2];
+        if (/^(pts?|sp|points?)$/.test(unit)) {
+            return { value: amount, unit: 'pt' };
         }
+
+        const hoursPerUnit = { m: 1 / 60, h: 1, d: this.hoursPerDay, w: this.hoursPerDay * 5 }[unit[0]];
+        return { value: Math.round(amount * hoursPerUnit * 100) / 100, unit: 'h' };
     }
 
     /**
-     * Check if all children of a task are completed
+     * Format an estimate as text parseEstimate reads back ("3d", "2.5h", "5pt")
      */
-    async areAllChildrenCompleted(task) {
-        if (!task.childTaskIds || task.childTaskIds.length === 0) {
-            return false;
-        }
+    formatEstimate(estimate) {
+        if (!estimate) return '';
+        return estimate.unit === 'pt'
+            ? this.formatEffort({ hours: 0, points: estimate.value })
+            : this.formatEffort({ hours: estimate.value, points: 0 });
+    }
 
-        for (const childId of task.childTaskIds) {
-            const child = await this.getTaskById(childId);
-            if (!child || child.status !== 'Completed') {
-                return false;
+    /**
+     * Format summed effort, e.g. "3d 4h + 5pt" ('' when there is none)
+     */
+    formatEffort({ hours, points }) {
+        const parts = [];
+        const round = n => Math.round(n * 100) / 100;
+
+        if (hours > 0) {
+            const days = Math.floor(round(hours) / this.hoursPerDay);
+            const rest = round(hours - days * this.hoursPerDay);
+            if (days === 0) {
+                parts.push(`${rest}h`);
+            } else {
+                parts.push(rest > 0 ? `${days}d ${rest}h` : `${days}d`);
             }
         }
+        if (points > 0) {
+            parts.push(`${round(points)}pt`);
+        }
 
-        return true;
+        return parts.join(' + ');
     }
 
     /**
-     * Complete all descendants (children and grandchildren) of a task
+     * Estimated effort left on a task and its incomplete descendants as { hours, points }
+     * @param {Map} tasksById - Task lookup that includes the descendants
      */
-    async completeAllDescendants(task) {
-        if (!task.childTaskIds || task.childTaskIds.length === 0) {
-            return;
-        }
+    getRemainingEffort(task, tasksById) {
+        const effort = { hours: 0, points: 0 };
 
-        for (const childId of task.childTaskIds) {
-            const child = await this.getTaskById(childId);
-            if (child && child.status !== 'Completed') {
-                child.status = 'Completed';
+        const add = current => {
+            if (current.status !== 'Completed' && current.estimate) {
+                effort[current.estimate.unit === 'pt' ? 'points' : 'hours'] += current.estimate.value;
+            }
+            (current.childTaskIds || []).forEach(childId => {
+                const child = tasksById.get(childId);
+                if (child) add(child);
+            });
+        };
+        add(task);
+
+        return effort;
+    }
+
+    /**
+     * Per-project report rows for :projects as a tree: dotted projects ("Client.Website") get a row
+     * for every level, and each row counts the tasks of that project and all its subprojects.
+     * Rows are in tree order with tasks without a project last.
+     * Returns [{ project, name, depth, total, byStatus: { status: count }, open, completed, percentComplete,
+     *            overdue, nextDue (open task due soonest), mostUrgent (open task), remaining: { hours, points } }]
+     */
+    getProjectSummaries(tasks) {
+        const urgency = this.getUrgencyScores(tasks);
+        const paths = new Map(this.getProjectPaths(tasks).map(path => [path.toLowerCase(), path]));
+        const summaries = new Map();
+
+        const getSummary = key => {
+            if (!summaries.has(key)) {
+                const project = key === null ? null : paths.get(key);
+                summaries.set(key, {
+                    project,
+                    name: project === null ? null : project.split('.').pop(),
+                    depth: project === null ? 0 : project.split('.').length - 1,
+                    total: 0,
+                    byStatus: { 'Not Started': 0, 'In Progress': 0, 'Blocked': 0, 'Completed': 0 },
+                    open: 0,
+                    completed: 0,
+                    percentComplete: 0,
+                    overdue: 0,
+                    nextDue: null,
+                    mostUrgent: null,
+                    remaining: { hours: 0, points: 0 }
+                });
+            }
+            return summaries.get(key);
+        };
+
+        const add = (summary, task) => {
+            summary.total++;
+            summary.byStatus[task.status] = (summary.byStatus[task.status] || 0) + 1;
+
+            if (task.status === 'Completed') {
+                summary.completed++;
+                return;
+            }
+
+            summary.open++;
+            if (this.isTaskOverdue(task)) {
+                summary.overdue++;
+            }
+            if (task.dueDate && (!summary.nextDue || new Date(task.dueDate) < new Date(summary.nextDue.dueDate))) {
+                summary.nextDue = task;
+            }
+            if (!summary.mostUrgent || urgency.get(task.id) > urgency.get(summary.mostUrgent.id)) {
+                summary.mostUrgent = task;
+            }
+            // Each task adds only its own estimate so subtasks aren't counted twice
+            if (task.estimate) {
+                summary.remaining[task.estimate.unit === 'pt' ? 'points' : 'hours'] += task.estimate.value;
+            }
+        };
+
+        tasks.forEach(task => {
+            if (!task.project) {
+                add(getSummary(null), task);
+                return;
+            }
+            // Count the task in its project and every parent project
+            const segments = task.project.toLowerCase().split('.');
+            segments.forEach((segment, i) => add(getSummary(segments.slice(0, i + 1).join('.')), task));
+        });
+
+        return [...summaries.values()]
+            .map(summary => ({ ...summary, percentComplete: Math.round(summary.completed / summary.total * 100) }))
+            .sort((a, b) => {
+                if (a.project === null) return 1;
+                if (b.project === null) return -1;
+                return this.compareProjectPaths(a.project, b.project);
+            });
+    }
+
+    /**
+     * Validate a recurrence rule and return its canonical form
+     * Supports: daily, weekly, monthly, yearly, weekdays, last-day-of-month, every Nd/Nw/Nm/Ny
+     */
+    parseRecurrence(rule) {
+        const trimmed = String(rule || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+        const aliases = {
+            'daily': 'daily',
+            'day': 'daily',
+            'weekly': 'weekly',
+            'week': 'weekly',
+            'monthly': 'monthly',
+            'month': 'monthly',
+            'yearly': 'yearly',
+            'annual': 'yearly',
+            'year': 'yearly',
+            'weekdays': 'weekdays',
+            'last-day-of-month': 'last-day-of-month',
+            'eom': 'last-day-of-month'
+        };
+        if (aliases[trimmed]) {
+            return aliases[trimmed];
+        }
+
+        // every 2w, every 3 days, every 1m ...
+        const everyMatch = trimmed.match(/^every ?(\d+) ?(d|days?|w|weeks?|m|months?|y|years?)$/);
+        if (everyMatch) {
+            const interval = parseInt(everyMatch[1]);
+            if (interval < 1) {
+                throw new Error('Recurrence interval must be at least 1');
+            }
+            return `every ${interval}${everyMatch[2].charAt(0)}`;
+        }
+
+        throw new Error(`Invalid recurrence "${rule}". Use daily, weekly, monthly, yearly, weekdays, last-day-of-month, or every Nd/Nw/Nm/Ny (e.g., every 2w)`);
+    }
+
+    /**
+     * Compute the next occurrence after a date for a (canonical) recurrence rule
+     * Works on wall-clock time in the configured timezone, so the time of day survives DST changes.
+     */
+    getNextOccurrence(fromDate, rule) {
+        let parts = this.dates.getParts(fromDate);
+
+        if (rule === 'weekdays') {
+            // Advance to the next Monday-Friday
+            do {
+                parts = this.dates.shiftDays(parts, 1);
+            } while (parts.weekday === 0 || parts.weekday === 6);
+            return this.dates.fromParts(parts);
+        }
+
+        if (rule === 'last-day-of-month') {
+            // If we're before this month's last day, use it; otherwise next month's
+            const lastOfThisMonth = this.dates.daysInMonth(parts.year, parts.month);
+            if (parts.day < lastOfThisMonth) {
+                parts = { ...parts, day: lastOfThisMonth };
+            } else {
+                parts = this.dates.shiftMonths({ ...parts, day: 1 }, 1);
+                parts.day = this.dates.daysInMonth(parts.year, parts.month);
+            }
+            return this.dates.fromParts(parts);
+        }
+
+        const named = { daily: 'every 1d', weekly: 'every 1w', monthly: 'every 1m', yearly: 'every 1y' };
+        const match = (named[rule] || rule).match(/^every (\d+)([dwmy])$/);
+        if (!match) {
+            throw new Error(`Invalid recurrence "${rule}"`);
+        }
+
+        const interval = parseInt(match[1]);
+        switch (match[2]) {
+            case 'd':
+                return this.dates.fromParts(this.dates.shiftDays(parts, interval));
+            case 'w':
+                return this.dates.fromParts(this.dates.shiftDays(parts, interval * 7));
+            case 'm':
+                return this.dates.fromParts(this.dates.shiftMonths(parts, interval));
+            case 'y':
+                return this.dates.fromParts(this.dates.shiftMonths(parts, interval * 12));
+        }
+    }
+
+    /**
+     * Create the next instance of a recurring task that was just completed
+     * Returns the new task, or null if the recurrence has ended (past `until`)
+     */
+    async spawnNextOccurrence(task, priority) {
+        // Advance from the due date, or from now if the task had none
+        const nextDue = this.getNextOccurrence(task.dueDate || new Date(), task.recur);
+
+        if (task.until && nextDue > new Date(task.until)) {
+            return null;
+        }
+
+        // Scheduled and wait dates keep the same distance before the due date
+        const shift = date => {
+            if (!date || !task.dueDate) return null;
+            return new Date(nextDue.getTime() - (new Date(task.dueDate) - new Date(date))).toISOString();
+        };
+
+        return this.createTaskWithoutHistory({
+            name: task.name,
+            dueDate: nextDue.toISOString(),
+            scheduled: shift(task.scheduled),
+            wait: shift(task.wait),
+            status: 'Not Started',
+            project: task.project,
+            priority: priority || 'Medium',
+            tags: task.tags,
+            parentTaskId: task.parentTaskId,
+            recur: task.recur,
+            until: task.until,
+            estimate: task.estimate
+        });
+    }
+
+    /**
+     * Set or clear the recurrence rule of a task (rule null clears it)
+     */
+    async setRecurrence(taskId, rule, until) {
+        const task = await this.getTaskById(taskId);
+        if (!task || task.deleted) {
+            throw new Error(`Task with ID ${taskId} not found`);
+        }
+
+        if (!rule) {
+            return this.updateTask(taskId, { recur: null, until: null });
+        }
+
+        const updates = { recur: this.parseRecurrence(rule) };
+        if (until !== undefined) {
+            updates.until = until;
+        }
+
+        return this.updateTask(taskId, updates);
+    }
+
+    /**
+     * Check if all sibling tasks are completed, and if so, complete the parent
+     */
+    async checkAndCompleteParent(task) {
+        // Only check if task was just completed and has a parent
+        if (task.status !== 'Completed' || !task.parentTaskId) {
+            return;
+        }
+
+        const parent = await this.getTaskById(task.parentTaskId);
+        if (!parent || parent.status === 'Completed') {
+            return;
+        }
+
+        // Get all children of the parent
+        const allChildrenCompleted = await this.areAllChildrenCompleted(parent);
+
+        if (allChildrenCompleted) {
+            const previousState = this.getUndoState(parent);
+            parent.status = 'Completed';
+            await this.saveTask(parent);
+            await this.recordCascade(parent, previousState);
+            await this.updateDependents(parent.id);
+        }
+    }
+
+    /**
+     * Record a change made to another task as a side effect of an update
+     */
+    async recordCascade(task, previousState) {
+        const newState = this.getUndoState(task);
+        await this.logStateChange(task.id, previousState, newState, 'cascade');
+        await this.recordAction({
+            type: 'modify',
+            taskId: task.id,
+            previousState,
+            newState,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Check if all children of a task are completed
+     */
+    async areAllChildrenCompleted(task) {
+        if (!task.childTaskIds || task.childTaskIds.length === 0) {
+            return false;
+        }
+
+        for (const childId of task.childTaskIds) {
+            const child = await this.getTaskById(childId);
+            if (!child || child.status !== 'Completed') {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Complete all descendants (children and grandchildren) of a task
+     */
+    async completeAllDescendants(task) {
+        if (!task.childTaskIds || task.childTaskIds.length === 0) {
+            return;
+        }
+
+        for (const childId of task.childTaskIds) {
+            const child = await this.getTaskById(childId);
+            if (child && child.status !== 'Completed') {
+                const previousState = this.getUndoState(child);
+                child.status = 'Completed';
                 child.priority = null; // Auto-remove priority for completed tasks
+                if (this.isTimerRunning(child)) {
+                    child.timeLog = this.closeTimeLog(child.timeLog);
+                }
                 await this.saveTask(child);
+                await this.recordCascade(child, previousState);
+                await this.updateDependents(child.id);
                 // Recursively complete grandchildren
                 await this.completeAllDescendants(child);
             }
@@ -375,6 +1132,217 @@ class TaskManager {
         return false;
     }
 
+    /**
+     * Check if a task depends (directly or transitively) on another task
+     */
+    async dependsOnTransitively(taskId, prerequisiteId, visited = new Set()) {
+        if (visited.has(taskId)) return false;
+        visited.add(taskId);
+
+        const task = await this.getTaskById(taskId);
+        if (!task || !task.dependsOn) return false;
+
+        if (task.dependsOn.includes(prerequisiteId)) {
+            return true;
+        }
+
+        // Check prerequisites of prerequisites
+        for (const depId of task.dependsOn) {
+            if (await this.dependsOnTransitively(depId, prerequisiteId, visited)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Validate a prerequisite list for a task (taskId is null for a new task)
+     * Returns the de-duplicated list of IDs
+     */
+    async validateDependencies(taskId, dependsOn) {
+        if (!Array.isArray(dependsOn)) {
+            throw new Error('Dependencies must be a list of task IDs');
+        }
+
+        const result = [];
+        for (const rawId of dependsOn) {
+            const depId = parseInt(rawId);
+            if (isNaN(depId)) {
+                throw new Error(`Invalid dependency ID: ${rawId}`);
+            }
+            if (result.includes(depId)) continue;
+
+            if (depId === taskId) {
+                throw new Error(`Task #${taskId} cannot depend on itself`);
+            }
+
+            const prerequisite = await this.getTaskById(depId);
+            if (!prerequisite || prerequisite.deleted) {
+                throw new Error(`Prerequisite task with ID ${depId} not found`);
+            }
+
+            // Adding taskId -> depId closes a loop if depId already depends on taskId
+            if (taskId !== null && await this.dependsOnTransitively(depId, taskId)) {
+                throw new Error(`Cannot depend on #${depId}: Would create circular dependency`);
+            }
+
+            result.push(depId);
+        }
+
+        return result;
+    }
+
+    /**
+     * Check if any of a task's prerequisites are still open (not completed)
+     */
+    async hasOpenPrerequisites(task) {
+        for (const depId of task.dependsOn || []) {
+            const prerequisite = await this.getTaskById(depId);
+            if (prerequisite && !prerequisite.deleted && prerequisite.status !== 'Completed') {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Move a task to/from Blocked based on its prerequisites (does not save)
+     * Only unblocks if the task was blocked by prerequisites before the change.
+     * Returns true if the status changed.
+     */
+    async syncBlockedStatus(task, hadOpenPrerequisites) {
+        if (task.status === 'Completed') {
+            return false;
+        }
+
+        const hasOpen = await this.hasOpenPrerequisites(task);
+
+        if (hasOpen && task.status !== 'Blocked') {
+            task.status = 'Blocked';
+            return true;
+        }
+
+        if (!hasOpen && hadOpenPrerequisites && task.status === 'Blocked') {
+            task.status = 'Not Started';
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Get all tasks that list the given task as a prerequisite
+     */
+    async getDependents(taskId) {
+        const tx = this.db.transaction([this.storeName], 'readonly');
+        const index = tx.objectStore(this.storeName).index('dependsOn');
+
+        return new Promise((resolve, reject) => {
+            const request = index.getAll(taskId);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('Failed to get dependent tasks'));
+        });
+    }
+
+    /**
+     * Re-check the Blocked status of every task that depends on the given task
+     */
+    async updateDependents(taskId) {
+        const dependents = await this.getDependents(taskId);
+
+        for (const dependent of dependents) {
+            if (dependent.deleted) continue;
+            // The prerequisite's status just changed, so treat it as previously open
+            const previousStatus = dependent.status;
+            if (await this.syncBlockedStatus(dependent, true)) {
+                await this.saveTask(dependent);
+                await this.logStateChange(dependent.id, { status: previousStatus }, { status: dependent.status }, 'dependency');
+            }
+        }
+    }
+
+    /**
+     * Remove the given tasks from every dependent's prerequisite list
+     * Returns the removed links as [{ taskId, dependsOn }] (for undo)
+     */
+    async unlinkDependents(prerequisiteIds) {
+        const unlinked = [];
+
+        for (const prerequisiteId of prerequisiteIds) {
+            const dependents = await this.getDependents(prerequisiteId);
+            // The prerequisite may already be flagged deleted, so check its status directly
+            const prerequisite = await this.getTaskById(prerequisiteId);
+            const prerequisiteWasOpen = !!prerequisite && prerequisite.status !== 'Completed';
+
+            for (const dependent of dependents) {
+                const hadOpen = prerequisiteWasOpen || await this.hasOpenPrerequisites(dependent);
+                dependent.dependsOn = dependent.dependsOn.filter(id => id !== prerequisiteId);
+                await this.syncBlockedStatus(dependent, hadOpen);
+                await this.saveTask(dependent);
+                unlinked.push({ taskId: dependent.id, dependsOn: prerequisiteId });
+            }
+        }
+
+        return unlinked;
+    }
+
+    /**
+     * Restore dependency links removed by unlinkDependents (for undo)
+     */
+    async relinkDependents(links) {
+        for (const link of links || []) {
+            const dependent = await this.getTaskById(link.taskId);
+            if (!dependent) continue;
+
+            dependent.dependsOn = dependent.dependsOn || [];
+            if (!dependent.dependsOn.includes(link.dependsOn)) {
+                dependent.dependsOn.push(link.dependsOn);
+                await this.syncBlockedStatus(dependent, false);
+                await this.saveTask(dependent);
+            }
+        }
+    }
+
+    /**
+     * Make a task depend on one or more prerequisites
+     */
+    async addDependencies(taskId, prerequisiteIds) {
+        const task = await this.getTaskById(taskId);
+        if (!task || task.deleted) {
+            throw new Error(`Task with ID ${taskId} not found`);
+        }
+
+        return this.updateTask(taskId, { dependsOn: [...(task.dependsOn || []), ...prerequisiteIds] });
+    }
+
+    /**
+     * Remove prerequisites from a task (all of them if prerequisiteIds is empty)
+     */
+    async removeDependencies(taskId, prerequisiteIds = []) {
+        const task = await this.getTaskById(taskId);
+        if (!task || task.deleted) {
+            throw new Error(`Task with ID ${taskId} not found`);
+        }
+
+        const current = task.dependsOn || [];
+        if (current.length === 0) {
+            throw new Error(`Task #${taskId} has no dependencies`);
+        }
+
+        const missing = prerequisiteIds.filter(id => !current.includes(id));
+        if (missing.length > 0) {
+            throw new Error(`Task #${taskId} does not depend on ${missing.map(id => '#' + id).join(', ')}`);
+        }
+
+        const remaining = prerequisiteIds.length === 0
+            ? []
+            : current.filter(id => !prerequisiteIds.includes(id));
+
+        return this.updateTask(taskId, { dependsOn: remaining });
+    }
+
     /**
      * Get the root ancestor of a task
      */
@@ -442,6 +1410,7 @@ class TaskManager {
                     if (child) {
                         child.parentTaskId = null;
                         await this.saveTask(child);
+                        await this.logStateChange(child.id, { parentTaskId: taskId }, { parentTaskId: null });
                     }
                 }
             }
@@ -456,17 +1425,29 @@ class TaskManager {
             }
         }
 
+        // A trashed task's timer stops, or its tracked time would keep growing
+        if (this.isTimerRunning(task)) {
+            const timeLog = task.timeLog;
+            task.timeLog = this.closeTimeLog(timeLog);
+            await this.logStateChange(task.id, { timeLog }, { timeLog: task.timeLog });
+        }
+
         // Soft delete the task
         task.deleted = true;
         task.deletedAt = new Date().toISOString();
         await this.saveTask(task);
+        await this.logChange(task.id, 'deleted');
 
         // Only record undo action for the root delete (not recursive child deletes)
         if (isRootDelete) {
-            this.recordAction({
+            // Deleted tasks no longer block anything
+            const unlinkedDependencies = await this.unlinkDependents(deletedTaskIds);
+
+            await this.recordAction({
                 type: 'delete',
                 taskId: task.id,
                 deletedTaskIds: deletedTaskIds, // All tasks deleted in this operation
+                unlinkedDependencies: unlinkedDependencies,
                 timestamp: new Date().toISOString()
             });
         }
@@ -516,8 +1497,10 @@ class TaskManager {
             }
         }
 
+        await this.logChange(task.id, 'restored');
+
         // Record action for undo
-        this.recordAction({
+        await this.recordAction({
             type: 'restore',
             taskId: task.id,
             timestamp: new Date().toISOString()
@@ -528,6 +1511,7 @@ class TaskManager {
 
     /**
      * Restore a deleted task without recording to history (for undo operations)
+     * Returns the task, or null when it is gone or was not deleted
      */
     async restoreTaskWithoutHistory(taskId) {
         const task = await this.getTaskById(taskId);
@@ -536,7 +1520,7 @@ class TaskManager {
         }
 
         if (!task.deleted) {
-            return task; // Already restored, skip
+            return null; // Already restored, nothing changed
         }
 
         // Restore the task
@@ -558,15 +1542,60 @@ class TaskManager {
 
     /**
      * Permanently delete a task (purge from trash)
+     * The purged records are kept in the undo history so the purge can be undone.
      */
     async purgeTask(taskId) {
-        const task = await this.getTaskById(taskId);
-        if (!task) {
-            // Task already purged (possibly by recursive parent purge), skip silently
-            return;
+        const purged = { tasks: [], unlinkedDependencies: [] };
+        await this.purgeTaskWithoutHistory(taskId, purged);
+
+        if (purged.tasks.length > 0) {
+            await this.recordAction({
+                type: 'purge',
+                taskId,
+                tasks: purged.tasks,
+                unlinkedDependencies: purged.unlinkedDependencies,
+                timestamp: new Date().toISOString()
+            });
         }
+    }
 
-        if (!task.deleted) {
+    /**
+     * Empty the trash as a single undoable action
+     * Returns the number of tasks purged
+     */
+    async purgeAll() {
+        const deletedTasks = await this.getDeletedTasks();
+        const purged = { tasks: [], unlinkedDependencies: [] };
+
+        for (const task of deletedTasks) {
+            await this.purgeTaskWithoutHistory(task.id, purged);
+        }
+
+        if (purged.tasks.length > 0) {
+            await this.recordAction({
+                type: 'purge',
+                taskId: null,
+                tasks: purged.tasks,
+                unlinkedDependencies: purged.unlinkedDependencies,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return purged.tasks.length;
+    }
+
+    /**
+     * Permanently delete a task and its deleted descendants without recording to history
+     * Collects the removed records and dependency links into `purged` (for undo)
+     */
+    async purgeTaskWithoutHistory(taskId, purged = { tasks: [], unlinkedDependencies: [] }) {
+        const task = await this.getTaskById(taskId);
+        if (!task) {
+            // Task already purged (possibly by recursive parent purge), skip silently
+            return purged;
+        }
+
+        if (!task.deleted) {
             throw new Error(`Task with ID ${taskId} is not in trash. Use :D to delete it first.`);
         }
 
@@ -575,13 +1604,20 @@ class TaskManager {
             for (const childId of task.childTaskIds) {
                 const child = await this.getTaskById(childId);
                 if (child && child.deleted) {
-                    await this.purgeTask(childId);
+                    await this.purgeTaskWithoutHistory(childId, purged);
                 }
             }
         }
 
+        // Drop any dependency links still pointing at the task
+        const links = await this.unlinkDependents([taskId]);
+        purged.unlinkedDependencies.push(...links);
+
         // Permanently delete the task
+        purged.tasks.push(task);
         await this.deleteTaskById(taskId);
+
+        return purged;
     }
 
     /**
@@ -644,56 +1680,8 @@ class TaskManager {
     async filterTasks(filters) {
         const allTasks = await this.getAllTasks();
 
-        // First, find all tasks that match the filter criteria
-        const matchedTasks = allTasks.filter(task => {
-            // Filter by ID
-            if (filters.id !== undefined) {
-                const filterValue = filters.id.value !== undefined ? filters.id.value : filters.id;
-                const negate = filters.id.negate || false;
-                let matches = false;
-
-                if (Array.isArray(filterValue)) {
-                    matches = filterValue.includes(task.id);
-                } else {
-                    matches = task.id === filterValue;
-                }
-
-                if (negate ? matches : !matches) return false;
-            }
-
-            // Filter by project
-            if (filters.project !== undefined) {
-                const filterValue = filters.project.value !== undefined ? filters.project.value : filters.project;
-                const negate = filters.project.negate || false;
-
-                const matches = task.project &&
-                    task.project.toLowerCase() === filterValue.toLowerCase();
-
-                if (negate ? matches : !matches) return false;
-            }
-
-            // Filter by priority
-            if (filters.priority !== undefined) {
-                const filterValue = filters.priority.value !== undefined ? filters.priority.value : filters.priority;
-                const negate = filters.priority.negate || false;
-
-                const matches = task.priority && task.priority.toLowerCase() === filterValue.toLowerCase();
-
-                if (negate ? matches : !matches) return false;
-            }
-
-            // Filter by status
-            if (filters.status !== undefined) {
-                const filterValue = filters.status.value !== undefined ? filters.status.value : filters.status;
-                const negate = filters.status.negate || false;
-
-                const matches = task.status.toLowerCase() === filterValue.toLowerCase();
-
-                if (negate ? matches : !matches) return false;
-            }
-
-            return true;
-        });
+        // First, find all tasks that match the filter expression
+        const matchedTasks = allTasks.filter(task => this.matchesFilter(task, filters));
 
         // Now include all ancestors and descendants for matched tasks
         const resultIds = new Set(matchedTasks.map(t => t.id));
@@ -763,8 +1751,18 @@ class TaskManager {
 
     /**
      * Sort tasks by priority
+     * @param {Object} options
+     * @param {boolean} [options.scheduled] - Within a priority, put tasks scheduled in the future last (earliest start first)
      */
-    sortByPriority(tasks) {
+    sortByPriority(tasks, options = {}) {
+        const { scheduled = false } = options;
+        const now = Date.now();
+        // Start date of a task that isn't ready yet (scheduled in the future), else null
+        const futureStart = task => {
+            const time = task.scheduled ? new Date(task.scheduled).getTime() : null;
+            return time !== null && time > now ? time : null;
+        };
+
         const priorityOrder = {
             'Critical': 0,
             'High': 1,
@@ -790,6 +1788,17 @@ class TaskManager {
                 return priorityDiff;
             }
 
+            // Optionally, tasks that can be started now come before ones scheduled later
+            if (scheduled) {
+                const startA = futureStart(a);
+                const startB = futureStart(b);
+                if (startA !== startB) {
+                    if (startA === null) return -1;
+                    if (startB === null) return 1;
+                    return startA - startB;
+                }
+            }
+
             // If same priority, sort by due date (earliest first)
             // Tasks without due date go to the end
             if (!a.dueDate && !b.dueDate) return 0;
@@ -803,327 +1812,1350 @@ class TaskManager {
     }
 
     /**
-     * Check if task is overdue
+     * Parse a sort spec like "project,-priority,due" into keys
+     * A leading "-" sorts that key descending, "+" ascending; unprefixed keys sort
+     * ascending except urgency (most urgent first)
      */
-    isTaskOverdue(task) {
-        if (!task.dueDate) return false;
-        const now = new Date();
-        const dueDate = new Date(task.dueDate);
-        return dueDate < now && task.status !== 'Completed';
+    parseSortKeys(spec) {
+        const fieldAliases = { pri: 'priority', date: 'due', duedate: 'due', parentid: 'parent', sched: 'scheduled' };
+        const fields = ['id', 'name', 'due', 'scheduled', 'wait', 'until', 'priority', 'status', 'project', 'parent', 'urgency'];
+        // Keys that sort descending unless prefixed with "+"
+        const descendingByDefault = ['urgency'];
+
+        const parts = String(spec).split(/[\s,]+/).filter(p => p !== '');
+        if (parts.length === 0) {
+            throw new Error('No sort keys given');
+        }
+
+        return parts.map(part => {
+            const name = part.replace(/^[-+]/, '').toLowerCase();
+            const field = fieldAliases[name] || name;
+            if (!fields.includes(field)) {
+                throw new Error(`Unknown sort key "${part}". Use ${fields.join(', ')} (prefix with - for descending)`);
+            }
+            const descending = part.startsWith('-') ||
+                (!part.startsWith('+') && descendingByDefault.includes(field));
+            return { field, descending };
+        });
     }
 
     /**
-     * Format date for display
+     * Turn keys back into a spec string, prefixing only keys that differ from their default direction
      */
-    formatDate(dateString) {
-        if (!dateString) return '-';
+    formatSortKeys(keys) {
+        return keys.map(({ field, descending }) => {
+            if (descending === this.parseSortKeys(field)[0].descending) return field;
+            return `${descending ? '-' : '+'}${field}`;
+        }).join(',');
+    }
 
-        try {
-            const date = new Date(dateString);
-            const now = new Date();
+    /**
+     * Sortable value of a task field (null values always sort last)
+     * @param {Map} [urgency] - Scores from getUrgencyScores, needed for the urgency field
+     */
+    getSortValue(task, field, urgency = null) {
+        const priorityOrder = { 'Critical': 0, 'High': 1, 'Medium': 2, 'Low': 3 };
+        const statusOrder = { 'Not Started': 0, 'In Progress': 1, 'Blocked': 2, 'Completed': 3 };
+
+        switch (field) {
+            case 'id': return task.id;
+            case 'name': return task.name ? task.name.toLowerCase() : null;
+            case 'due': return task.dueDate ? new Date(task.dueDate).getTime() : null;
+            case 'scheduled':
+            case 'wait':
+            case 'until':
+                return task[field] ? new Date(task[field]).getTime() : null;
+            case 'priority': return task.priority in priorityOrder ? priorityOrder[task.priority] : null;
+            case 'status': return task.status in statusOrder ? statusOrder[task.status] : null;
+            case 'project': return task.project ? task.project.toLowerCase() : null;
+            case 'parent': return task.parentTaskId !== undefined ? task.parentTaskId : null;
+            case 'urgency': return urgency && urgency.has(task.id) ? urgency.get(task.id) : null;
+            default: return null;
+        }
+    }
 
-            // Check if overdue
-            if (date < now) {
-                return 'OVERDUE!';
+    /**
+     * Sort tasks by a spec string or list of { field, descending } keys
+     * Ties fall back to ascending ID. allTasks gives urgency its dependency context
+     * when `tasks` is a filtered subset.
+     */
+    sortTasks(tasks, sort, allTasks = tasks) {
+        const keys = typeof sort === 'string' ? this.parseSortKeys(sort) : sort;
+        const urgency = keys.some(k => k.field === 'urgency') ? this.getUrgencyScores(tasks, allTasks) : null;
+
+        return [...tasks].sort((a, b) => {
+            for (const { field, descending } of keys) {
+                const aValue = this.getSortValue(a, field, urgency);
+                const bValue = this.getSortValue(b, field, urgency);
+
+                if (aValue === bValue) continue;
+                if (aValue === null) return 1;
+                if (bValue === null) return -1;
+
+                const diff = typeof aValue === 'string'
+                    ? aValue.localeCompare(bValue)
+                    : aValue - bValue;
+                if (diff !== 0) return descending ? -diff : diff;
             }
+            return a.id - b.id;
+        });
+    }
 
-            // Format date
-            const options = {
-                timeZone: 'Australia/Sydney',
-                year: 'numeric',
-                month: '2-digit',
-                day: '2-digit',
-                hour: '2-digit',
-                minute: '2-digit'
-            };
+    /**
+     * Urgency scores keyed by task ID
+     * allTasks supplies dependency and subtask context when `tasks` is a filtered subset.
+     */
+    getUrgencyScores(tasks, allTasks = tasks) {
+        const byId = new Map(allTasks.map(t => [t.id, t]));
+        const isOpen = id => {
+            const task = byId.get(id);
+            return Boolean(task) && !task.deleted && task.status !== 'Completed';
+        };
 
-            return date.toLocaleString('en-AU', options);
-        } catch (error) {
-            return dateString;
+        // IDs that at least one open task depends on
+        const blocking = new Set();
+        allTasks.forEach(task => {
+            if (isOpen(task.id)) {
+                (task.dependsOn || []).forEach(id => blocking.add(id));
+            }
+        });
+
+        const context = { isOpen, blocking, now: Date.now() };
+        return new Map(tasks.map(task => [task.id, this.calculateUrgency(task, context)]));
+    }
+
+    /**
+     * Urgency of one task: each factor (0-1) times its coefficient from settings.urgency, summed
+     * Completed tasks score 0.
+     */
+    calculateUrgency(task, { isOpen, blocking, now }) {
+        if (task.status === 'Completed') return 0;
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        const priorityFactor = { 'Critical': 1.0, 'High': 0.8, 'Medium': 0.5, 'Low': 0.2 };
+        const tagCount = (task.tags || []).length;
+
+        let due = 0;
+        if (task.dueDate) {
+            const daysOverdue = (now - new Date(task.dueDate).getTime()) / dayMs;
+            if (daysOverdue >= 7) {
+                due = 1.0;
+            } else if (daysOverdue >= -14) {
+                due = 0.2 + (daysOverdue + 14) * 0.8 / 21;
+            } else {
+                due = 0.2;
+            }
         }
+
+        const factors = {
+            priority: priorityFactor[task.priority] || 0,
+            due,
+            age: task.createdAt ? Math.min(1, Math.max(0, (now - new Date(task.createdAt).getTime()) / dayMs / 365)) : 0,
+            blocking: blocking.has(task.id) ? 1 : 0,
+            blocked: (task.dependsOn || []).some(isOpen) ? 1 : 0,
+            tags: tagCount === 0 ? 0 : tagCount === 1 ? 0.8 : tagCount === 2 ? 0.9 : 1.0,
+            inProgress: task.status === 'In Progress' ? 1 : 0,
+            children: (task.childTaskIds || []).some(isOpen) ? 1 : 0
+        };
+
+        const coefficients = this.settings.urgency;
+        return Object.entries(factors).reduce((sum, [name, factor]) => sum + factor * coefficients[name], 0);
     }
 
     /**
-     * Parse date input (supports YYYY-MM-DD, YYYY-MM-DD HH:MM, relative dates)
+     * Open leaf tasks that can be worked on now, most urgent first (:next)
+     * Skips tasks that are blocked, have open subtasks, are waiting or are scheduled later.
      */
-    parseDate(input) {
-        if (!input || input.trim() === '') return null;
+    getNextTasks(allTasks, limit = 10) {
+        const now = Date.now();
+        const byId = new Map(allTasks.map(t => [t.id, t]));
+        const isOpen = id => byId.has(id) && byId.get(id).status !== 'Completed';
+        const urgency = this.getUrgencyScores(allTasks);
+
+        return allTasks
+            .filter(task => isOpen(task.id) && task.status !== 'Blocked' &&
+                !(task.childTaskIds || []).some(isOpen) &&
+                !(task.dependsOn || []).some(isOpen) &&
+                !this.isTaskWaiting(task) &&
+                !(task.scheduled && new Date(task.scheduled).getTime() > now))
+            .sort((a, b) => urgency.get(b.id) - urgency.get(a.id) || a.id - b.id)
+            .slice(0, limit)
+            .map(task => ({ task, urgency: urgency.get(task.id) }));
+    }
+
+    /**
+     * Evaluate a filter AST node (see FilterParser) against a task
+     */
+    matchesFilter(task, node) {
+        switch (node.type) {
+            case 'and':
+                return node.operands.every(operand => this.matchesFilter(task, operand));
+            case 'or':
+                return node.operands.some(operand => this.matchesFilter(task, operand));
+            case 'not':
+                return !this.matchesFilter(task, node.operand);
+            case 'comparison':
+                return this.matchesComparison(task, node);
+            default:
+                throw new Error(`Unknown filter node type: ${node.type}`);
+        }
+    }
+
+    /**
+     * Evaluate a single field comparison against a task
+     */
+    matchesComparison(task, { field, operator, value }) {
+        if (operator === '!=') {
+            return !this.matchesComparison(task, { field, operator: '=', value });
+        }
 
-        const trimmed = input.trim().toLowerCase();
+        const values = Array.isArray(value) ? value : [value];
 
-        // Handle relative dates
-        if (trimmed === 'today') {
-            return new Date();
+        // Numeric fields
+        if (field === 'id' || field === 'parent') {
+            const actual = field === 'id' ? task.id : task.parentTaskId;
+            if (actual === null || actual === undefined) return false;
+            if (operator === '=') return values.includes(actual);
+            return this.compareValues(actual, value, operator);
         }
-        if (trimmed === 'tomorrow') {
-            const date = new Date();
-            date.setDate(date.getDate() + 1);
-            return date;
+
+        // Date fields are compared by calendar day
+        if (field in this.dateFields) {
+            const actual = task[this.dateFields[field]];
+            if (operator === '=') return values.some(v => this.matchesDateValue(task, field, v));
+            if (!actual) return false;
+            return this.compareValues(this.startOfDay(actual), this.startOfDay(value), operator);
         }
 
-        // Handle +Nd format (e.g., +3d for 3 days from now)
-        const relativeDaysMatch = trimmed.match(/^\+(\d+)d$/);
-        if (relativeDaysMatch) {
-            const days = parseInt(relativeDaysMatch[1]);
-            const date = new Date();
-            date.setDate(date.getDate() + days);
-            return date;
+        // Projects are dotted paths: "=" also matches subprojects, "==" only the project itself
+        if (field === 'project' && operator !== '~') {
+            return values.some(v => this.matchesProject(task.project, v, operator === '=='));
         }
 
-        // Try to parse as ISO date
-        const date = new Date(input);
-        if (!isNaN(date.getTime())) {
-            return date;
+        // Text fields (case-insensitive, "==" is the same as "="); tags and notes match if any one matches
+        let actualValues = [task[field] || ''];
+        if (field === 'tag') {
+            actualValues = task.tags || [];
+        } else if (field === 'notes') {
+            actualValues = (task.notes || []).map(note => note.content);
         }
+        const haystack = actualValues.map(v => String(v).toLowerCase());
+        const needles = values.map(v => String(v).toLowerCase());
 
-        throw new Error('Invalid date format. Use YYYY-MM-DD, YYYY-MM-DD HH:MM, or relative dates (today, tomorrow, +3d)');
+        if (operator === '~') {
+            return haystack.some(h => needles.some(n => h.includes(n)));
+        }
+        return haystack.some(h => needles.includes(h));
     }
 
     /**
-     * Add note to task
+     * Whether a project is `value` or, unless exact, one of its dotted subprojects (case-insensitive)
+     * "Client" matches "Client" and "Client.Website.Backend" but not "Clientele".
      */
-    async addNote(taskId, noteContent) {
-        const task = await this.getTaskById(taskId);
-        if (!task) {
-            throw new Error(`Task with ID ${taskId} not found`);
-        }
-
-        const note = {
-            timestamp: new Date().toISOString(),
-            content: noteContent
-        };
-
-        task.notes.push(note);
-        await this.saveTask(task);
-        return note;
+    matchesProject(project, value, exact = false) {
+        const actual = (project || '').toLowerCase();
+        const expected = String(value).toLowerCase();
+        return actual === expected || (!exact && expected !== '' && actual.startsWith(`${expected}.`));
     }
 
     /**
-     * Get tasks organized by hierarchy (grandparents -> parents -> children)
+     * Every project path in use plus their parent paths ("A.B.C" adds "A" and "A.B"), sorted
+     * Paths differing only in case are listed once, in the casing seen first.
      */
-    getTasksHierarchical(tasks) {
-        const result = [];
-        const taskMap = new Map(tasks.map(t => [t.id, t]));
-        const addedIds = new Set();
+    getProjectPaths(tasks) {
+        const paths = new Map();
 
-        // Recursive function to add task and its descendants
-        const addTaskWithDescendants = (task) => {
-            if (addedIds.has(task.id)) return;
-            addedIds.add(task.id);
-            result.push(task);
-
-            // Add children immediately after
-            if (task.childTaskIds && task.childTaskIds.length > 0) {
-                task.childTaskIds.forEach(childId => {
-                    const child = taskMap.get(childId);
-                    if (child && !addedIds.has(childId)) {
-                        addTaskWithDescendants(child);
-                    }
-                });
-            }
-        };
-
-        // First pass: add all root tasks (tasks with no parent)
-        tasks.forEach(task => {
-            if (task.parentTaskId === null || task.parentTaskId === undefined) {
-                addTaskWithDescendants(task);
-            }
-        });
-
-        // Second pass: add any orphaned tasks (parent not in current list)
         tasks.forEach(task => {
-            if (!addedIds.has(task.id)) {
-                addTaskWithDescendants(task);
-            }
+            if (!task.project) return;
+            const segments = task.project.split('.');
+            segments.forEach((segment, i) => {
+                const path = segments.slice(0, i + 1).join('.');
+                if (!paths.has(path.toLowerCase())) {
+                    paths.set(path.toLowerCase(), path);
+                }
+            });
         });
 
-        return result;
+        return [...paths.values()].sort((a, b) => this.compareProjectPaths(a, b));
     }
 
     /**
-     * Export all data (for backup)
+     * Order project paths as a tree: parents before their subprojects, siblings alphabetically
      */
-    async exportData() {
-        const tasks = await this.getAllTasks();
-        const tx = this.db.transaction(['metadata'], 'readonly');
-        const store = tx.objectStore('metadata');
+    compareProjectPaths(a, b) {
+        const aSegments = a.toLowerCase().split('.');
+        const bSegments = b.toLowerCase().split('.');
 
-        return new Promise((resolve, reject) => {
-            const request = store.get('nextId');
+        for (let i = 0; i < Math.min(aSegments.length, bSegments.length); i++) {
+            const diff = aSegments[i].localeCompare(bSegments[i]);
+            if (diff !== 0) return diff;
+        }
+        return aSegments.length - bSegments.length;
+    }
 
-            request.onsuccess = () => {
-                const nextId = request.result ? request.result.value : 1;
-                resolve({
-                    tasks,
-                    nextId,
-                    exportDate: new Date().toISOString()
-                });
-            };
+    /**
+     * Check one of a task's dates against a date or keyword (null = not set, overdue (due only), week, month)
+     */
+    matchesDateValue(task, field, value) {
+        const actual = task[this.dateFields[field]];
+        if (value === null) return !actual;
+        if (value === 'overdue') return this.isTaskOverdue(task);
+        if (!actual) return false;
+
+        const due = new Date(actual);
+        const today = this.dates.getParts(new Date());
+
+        if (value === 'week') {
+            // Monday to Sunday of the current week
+            const monday = this.dates.shiftDays(today, -((today.weekday + 6) % 7));
+            const start = this.dates.fromParts({ year: monday.year, month: monday.month, day: monday.day });
+            const end = this.dates.addDays(start, 7);
+            return due >= start && due < end;
+        }
+        if (value === 'month') {
+            const dueParts = this.dates.getParts(due);
+            return dueParts.year === today.year && dueParts.month === today.month;
+        }
 
-            request.onerror = () => reject(new Error('Failed to export data'));
-        });
+        return this.startOfDay(due) === this.startOfDay(value);
     }
 
     /**
-     * Import data (for restore)
+     * Compare two numbers with <, >, <= or >=
      */
-    async importData(data) {
-        return new Promise((resolve, reject) => {
-            const tx = this.db.transaction([this.storeName, 'metadata'], 'readwrite');
-            const taskStore = tx.objectStore(this.storeName);
-            const metaStore = tx.objectStore('metadata');
-
-            // Clear existing data
-            taskStore.clear();
+    compareValues(actual, expected, operator) {
+        switch (operator) {
+            case '<': return actual < expected;
+            case '>': return actual > expected;
+            case '<=': return actual <= expected;
+            case '>=': return actual >= expected;
+            default: return false;
+        }
+    }
 
-            // Import all tasks
-            for (const task of data.tasks) {
-                taskStore.put(task);
-            }
+    /**
+     * Timestamp of midnight in the configured timezone (for day-level comparisons)
+     */
+    startOfDay(date) {
+        return this.dates.startOfDay(date);
+    }
 
-            // Import nextId
-            metaStore.put({ key: 'nextId', value: data.nextId });
+    /**
+     * Check if a task is waiting (has a wait date in the future and is hidden from the default list)
+     */
+    isTaskWaiting(task) {
+        return !!task.wait && new Date(task.wait) > new Date();
+    }
 
-            // Transaction completed
-            tx.oncomplete = () => resolve();
-            tx.onerror = () => reject(new Error('Failed to import data: ' + tx.error));
-        });
+    /**
+     * Check whether a filter AST mentions a field
+     */
+    filterReferences(node, field) {
+        if (!node) return false;
+        if (node.type === 'comparison') return node.field === field;
+        if (node.type === 'not') return this.filterReferences(node.operand, field);
+        return node.operands.some(operand => this.filterReferences(operand, field));
     }
 
     /**
-     * Record an action for undo/redo
+     * Move open tasks whose `until` date has passed to the trash, subtasks included (one undo step)
+     * Each task expires once per until date: the date is remembered by UUID, so a task brought back
+     * by undo or from the trash stays until its until date changes. Completed tasks are kept as
+     * history. Skipped while another batch is being recorded. Returns the expired tasks.
      */
-    recordAction(action) {
-        this.undoStack.push(action);
+    async expireTasks() {
+        if (this.pendingBatch) return [];
 
-        // Limit stack size
-        if (this.undoStack.length > this.maxHistorySize) {
-            this.undoStack.shift();
+        const now = new Date();
+        const remembered = await this.getMetadata('expiredUntil', {});
+        const allTasks = await this.getAllTasks(true);
+
+        // Forget tasks that were purged or whose until date changed since they expired
+        const expiredUntil = {};
+        allTasks.forEach(task => {
+            if (task.until && remembered[task.uuid] === task.until) {
+                expiredUntil[task.uuid] = task.until;
+            }
+        });
+
+        const expired = allTasks.filter(task => !task.deleted && task.until && task.status !== 'Completed'
+            && new Date(task.until) <= now && expiredUntil[task.uuid] !== task.until);
+        expired.forEach(task => {
+            expiredUntil[task.uuid] = task.until;
+        });
+        await this.setMetadata('expiredUntil', expiredUntil);
+
+        if (expired.length > 0) {
+            await this.recordBatch('expire', async () => {
+                for (const task of expired) {
+                    // Skip subtasks already trashed with an expired parent
+                    const current = await this.getTaskById(task.id);
+                    if (current && !current.deleted) {
+                        await this.deleteTask(task.id, true);
+                    }
+                }
+            });
         }
 
-        // Clear redo stack when new action is performed
-        this.redoStack = [];
+        return expired;
     }
 
     /**
-     * Undo the last action
+     * Start timing a task (one undo step)
+     * Only one timer runs at a time: a timer on another task is stopped first.
+     * The task is moved to In Progress. Returns { task, stopped } (stopped = the previously timed task).
      */
-    async undo() {
-        if (this.undoStack.length === 0) {
-            throw new Error('Nothing to undo');
+    async startTimer(taskId) {
+        const task = await this.getTaskById(taskId);
+        if (!task || task.deleted) {
+            throw new Error(`Task with ID ${taskId} not found`);
+        }
+        if (await this.hasOpenPrerequisites(task)) {
+            throw new Error(`Task #${taskId} is blocked by open prerequisites`);
         }
 
-        const action = this.undoStack.pop();
-
-        try {
-            switch (action.type) {
-                case 'delete':
-                    // Restore all deleted tasks (in reverse order: grandchildren first, then parents, then grandparent)
-                    // This ensures parent relationships are properly restored
-                    const tasksToRestore = action.deletedTaskIds || [action.taskId];
-                    // Reverse so we restore deepest descendants first
-                    for (let i = tasksToRestore.length - 1; i >= 0; i--) {
-                        await this.restoreTaskWithoutHistory(tasksToRestore[i]);
-                    }
-                    break;
-
-                case 'modify':
-                    // Restore previous state
-                    await this.updateTaskWithoutHistory(action.taskId, action.previousState);
-                    break;
-
-                case 'create':
-                    // Delete the created task
-                    const task = await this.getTaskById(action.taskId);
-                    if (task) {
-                        // Remove from parent's childTaskIds if it has a parent
-                        if (task.parentTaskId !== null) {
-                            const parent = await this.getTaskById(task.parentTaskId);
-                            if (parent) {
-                                parent.childTaskIds = parent.childTaskIds.filter(id => id !== action.taskId);
-                                await this.saveTask(parent);
-                            }
-                        }
-                        task.deleted = true;
-                        task.deletedAt = new Date().toISOString();
-                        await this.saveTask(task);
-                    }
-                    break;
-
-                case 'restore':
-                    // Re-delete the task
-                    const restoredTask = await this.getTaskById(action.taskId);
-                    if (restoredTask) {
-                        // Remove from parent's childTaskIds if it has a parent
-                        if (restoredTask.parentTaskId !== null) {
-                            const parent = await this.getTaskById(restoredTask.parentTaskId);
-                            if (parent) {
-                                parent.childTaskIds = parent.childTaskIds.filter(id => id !== action.taskId);
-                                await this.saveTask(parent);
-                            }
-                        }
-                        restoredTask.deleted = true;
-                        restoredTask.deletedAt = new Date().toISOString();
-                        await this.saveTask(restoredTask);
-                    }
-                    break;
+        const active = await this.getActiveTimer();
+        if (active && active.id === taskId) {
+            throw new Error(`Timer is already running on task #${taskId}`);
+        }
 
-                default:
-                    throw new Error(`Unknown action type: ${action.type}`);
+        return await this.recordBatch('timer', async () => {
+            let stopped = null;
+            if (active) {
+                stopped = await this.applyTaskUpdate(active.id, { timeLog: this.closeTimeLog(active.timeLog) });
             }
 
-            // Move to redo stack
-            this.redoStack.push(action);
-
-            return action;
-        } catch (error) {
-            // Put action back if undo failed
-            this.undoStack.push(action);
-            throw error;
-        }
+            const timeLog = [...(task.timeLog || []), { start: new Date().toISOString(), end: null }];
+            const started = await this.applyTaskUpdate(taskId, { timeLog, status: 'In Progress' });
+            return { task: started, stopped };
+        }, { taskId });
     }
 
     /**
-     * Redo the last undone action
+     * Stop the running timer. Returns the task it was running on.
      */
-    async redo() {
-        if (this.redoStack.length === 0) {
-            throw new Error('Nothing to redo');
+    async stopTimer() {
+        const active = await this.getActiveTimer();
+        if (!active) {
+            throw new Error('No timer is running');
         }
 
-        const action = this.redoStack.pop();
-
-        try {
-            switch (action.type) {
-                case 'delete':
-                    // Re-delete all tasks that were deleted in original action
-                    const tasksToDelete = action.deletedTaskIds || [action.taskId];
-                    for (const delTaskId of tasksToDelete) {
-                        await this.deleteTaskWithoutHistory(delTaskId);
-                    }
-                    break;
-
-                case 'modify':
-                    // Re-apply the new state
-                    await this.updateTaskWithoutHistory(action.taskId, action.newState);
-                    break;
+        return await this.updateTask(active.id, { timeLog: this.closeTimeLog(active.timeLog) });
+    }
 
-                case 'create':
-                    // Restore the created task
-                    await this.restoreTask(action.taskId);
-                    break;
+    /**
+     * The task whose timer is running, or null
+     */
+    async getActiveTimer() {
+        const tasks = await this.getAllTasks();
+        return tasks.find(task => this.isTimerRunning(task)) || null;
+    }
 
-                case 'restore':
-                    // Re-restore the task
-                    await this.restoreTask(action.taskId);
-                    break;
+    isTimerRunning(task) {
+        return (task.timeLog || []).some(entry => !entry.end);
+    }
 
-                default:
-                    throw new Error(`Unknown action type: ${action.type}`);
+    /**
+     * Copy of a time log with any open interval ended now
+     */
+    closeTimeLog(timeLog) {
+        const end = new Date().toISOString();
+        return (timeLog || []).map(entry => (entry.end ? entry : { ...entry, end }));
+    }
+
+    /**
+     * Milliseconds tracked on a task itself (a running interval counts up to now)
+     */
+    getTrackedTime(task, now = Date.now()) {
+        return (task.timeLog || []).reduce((total, entry) => {
+            const end = entry.end ? new Date(entry.end).getTime() : now;
+            return total + Math.max(0, end - new Date(entry.start).getTime());
+        }, 0);
+    }
+
+    /**
+     * Milliseconds tracked on a task and all its subtasks
+     * @param {Map} tasksById - Task lookup that includes the subtasks
+     */
+    getTrackedTimeWithChildren(task, tasksById, now = Date.now()) {
+        return (task.childTaskIds || []).reduce((total, childId) => {
+            const child = tasksById.get(childId);
+            return child ? total + this.getTrackedTimeWithChildren(child, tasksById, now) : total;
+        }, this.getTrackedTime(task, now));
+    }
+
+    /**
+     * Format a duration as "1h 05m" or "12m"
+     */
+    formatDuration(ms) {
+        const totalMinutes = Math.floor(ms / 60000);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+    }
+
+    /**
+     * Check if task is overdue
+     */
+    isTaskOverdue(task) {
+        if (!task.dueDate) return false;
+        const now = new Date();
+        const dueDate = new Date(task.dueDate);
+        return dueDate < now && task.status !== 'Completed';
+    }
+
+    /**
+     * Format date for display
+     */
+    formatDate(dateString) {
+        if (!dateString) return '-';
+
+        try {
+            const date = new Date(dateString);
+            const now = new Date();
+
+            // Check if overdue
+            if (date < now) {
+                return 'OVERDUE!';
+            }
+
+            return this.dates.formatNumeric(date);
+        } catch (error) {
+            return dateString;
+        }
+    }
+
+    /**
+     * Parse date input (supports YYYY-MM-DD, YYYY-MM-DD HH:MM, relative dates)
+     */
+    parseDate(input) {
+        return this.dates.parse(input);
+    }
+
+    /**
+     * Normalize a tag list: strips leading '+', trims, drops empties and
+     * case-insensitive duplicates. Accepts an array or a space/comma separated string.
+     */
+    normalizeTags(tags) {
+        if (!tags) return [];
+
+        const list = Array.isArray(tags) ? tags : String(tags).split(/[\s,]+/);
+        const seen = new Set();
+        const result = [];
+
+        for (const raw of list) {
+            if (typeof raw !== 'string') continue;
+            const tag = raw.trim().replace(/^\+/, '');
+            if (tag === '' || /[\s,"']/.test(tag)) continue;
+            const key = tag.toLowerCase();
+            if (seen.has(key)) continue;
+            seen.add(key);
+            result.push(tag);
+        }
+
+        return result;
+    }
+
+    /**
+     * Apply +tag / -tag modifiers to an existing tag list
+     * e.g. applyTagModifiers(['a', 'b'], '+c -a') -> ['b', 'c']
+     * Bare words (no sign) are treated as additions.
+     */
+    applyTagModifiers(currentTags, modifiers) {
+        let tags = this.normalizeTags(currentTags);
+        const words = Array.isArray(modifiers) ? modifiers : String(modifiers || '').split(/[\s,]+/);
+
+        for (const word of words) {
+            if (!word) continue;
+            if (word.startsWith('-')) {
+                const removed = word.substring(1).toLowerCase();
+                tags = tags.filter(tag => tag.toLowerCase() !== removed);
+            } else {
+                tags = this.normalizeTags([...tags, word]);
+            }
+        }
+
+        return tags;
+    }
+
+    /**
+     * Apply the same updates to several tasks, recorded as one undoable action
+     * tagModifiers (e.g. ['+urgent', '-someday']) are applied to each task's own tags.
+     * Returns { updated: [ids], failed: [{ taskId, error }] }
+     */
+    async bulkUpdateTasks(taskIds, updates, tagModifiers = []) {
+        const results = { updated: [], failed: [] };
+
+        await this.recordBatch('bulk_modify', async () => {
+            for (const taskId of taskIds) {
+                try {
+                    const task = await this.getTaskById(taskId);
+                    if (!task || task.deleted) {
+                        throw new Error(`Task with ID ${taskId} not found`);
+                    }
+
+                    const taskUpdates = { ...updates };
+                    if (tagModifiers.length > 0) {
+                        taskUpdates.tags = this.applyTagModifiers(task.tags || [], tagModifiers);
+                    }
+
+                    await this.updateTask(taskId, taskUpdates);
+                    results.updated.push(taskId);
+                } catch (error) {
+                    results.failed.push({ taskId, error: error.message });
+                }
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * Add note to task
+     */
+    async addNote(taskId, noteContent) {
+        const task = await this.getTaskById(taskId);
+        if (!task) {
+            throw new Error(`Task with ID ${taskId} not found`);
+        }
+
+        const note = {
+            timestamp: new Date().toISOString(),
+            content: noteContent
+        };
+
+        task.notes.push(note);
+        await this.saveTask(task);
+        await this.logChange(taskId, 'note', { note: noteContent });
+
+        await this.recordAction({
+            type: 'note',
+            taskId,
+            note,
+            timestamp: note.timestamp
+        });
+
+        return note;
+    }
+
+    /**
+     * Append an entry to a task's changelog
+     * @param {string} event - 'created', 'modified', 'deleted', 'restored' or 'note'
+     * @param {Object} details - e.g. { changes } for 'modified', { note } for 'note' (plus removed: true when undone), { source } for side effects
+     */
+    async logChange(taskId, event, details = {}) {
+        const tx = this.db.transaction(['changelog'], 'readwrite');
+        const store = tx.objectStore('changelog');
+        const entry = { taskId, event, timestamp: new Date().toISOString(), ...details };
+
+        return new Promise((resolve, reject) => {
+            const request = store.add(entry);
+
+            request.onsuccess = () => resolve(entry);
+            request.onerror = () => reject(new Error('Failed to write changelog'));
+        });
+    }
+
+    /**
+     * Log the fields that differ between two states as a 'modified' entry
+     * @param {string} [source] - Why the change happened when not a direct edit ('cascade', 'dependency', 'undo', 'redo')
+     */
+    async logStateChange(taskId, before, after, source = null) {
+        const changes = this.diffStates(before, after);
+        if (changes.length === 0) return;
+
+        const details = { changes };
+        if (source) {
+            details.source = source;
+        }
+        await this.logChange(taskId, 'modified', details);
+    }
+
+    /**
+     * List the fields of `after` whose values differ from `before` as [{ field, from, to }]
+     */
+    diffStates(before, after) {
+        const changes = [];
+
+        Object.keys(after).forEach(field => {
+            const from = before[field] === undefined ? null : before[field];
+            const to = after[field] === undefined ? null : after[field];
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes.push({ field, from, to });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Get a task's changelog, oldest entry first
+     */
+    async getTaskChangelog(taskId) {
+        const tx = this.db.transaction(['changelog'], 'readonly');
+        const index = tx.objectStore('changelog').index('taskId');
+
+        return new Promise((resolve, reject) => {
+            const request = index.getAll(taskId);
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.id - b.id));
+            request.onerror = () => reject(new Error('Failed to load changelog'));
+        });
+    }
+
+    /**
+     * Get every changelog entry, for putting history back when a replace import is undone
+     */
+    async getAllChangelog() {
+        const tx = this.db.transaction(['changelog'], 'readonly');
+        const store = tx.objectStore('changelog');
+
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('Failed to load changelog'));
+        });
+    }
+
+    /**
+     * Get tasks organized by hierarchy (grandparents -> parents -> children)
+     * Siblings keep their order from the input list, so a sort applies within each sibling group
+     */
+    getTasksHierarchical(tasks) {
+        const result = [];
+        const addedIds = new Set();
+
+        // Children of each parent, in input order
+        const childrenByParent = new Map();
+        tasks.forEach(task => {
+            if (task.parentTaskId !== null && task.parentTaskId !== undefined) {
+                if (!childrenByParent.has(task.parentTaskId)) {
+                    childrenByParent.set(task.parentTaskId, []);
+                }
+                childrenByParent.get(task.parentTaskId).push(task);
+            }
+        });
+
+        // Recursive function to add task and its descendants
+        const addTaskWithDescendants = (task) => {
+            if (addedIds.has(task.id)) return;
+            addedIds.add(task.id);
+            result.push(task);
+
+            // Add children immediately after
+            (childrenByParent.get(task.id) || []).forEach(child => {
+                if (!addedIds.has(child.id)) {
+                    addTaskWithDescendants(child);
+                }
+            });
+        };
+
+        // First pass: add all root tasks (tasks with no parent)
+        tasks.forEach(task => {
+            if (task.parentTaskId === null || task.parentTaskId === undefined) {
+                addTaskWithDescendants(task);
+            }
+        });
+
+        // Second pass: add any orphaned tasks (parent not in current list)
+        tasks.forEach(task => {
+            if (!addedIds.has(task.id)) {
+                addTaskWithDescendants(task);
             }
+        });
+
+        return result;
+    }
+
+    /**
+     * Export all data (for backup)
+     * Trashed tasks are left out, so references to them are dropped to keep the backup self-contained.
+     */
+    async exportData() {
+        const live = await this.getAllTasks();
+        const ids = new Set(live.map(task => task.id));
+        const tasks = live.map(task => ({
+            ...this.backupFormat.withDefaults(task),
+            // A subtask restored while its parent is still in the trash stands alone in the backup
+            parentTaskId: ids.has(task.parentTaskId) ? task.parentTaskId : null,
+            childTaskIds: task.childTaskIds.filter(id => ids.has(id)),
+            dependsOn: task.dependsOn.filter(id => ids.has(id)),
+            nextInstanceId: ids.has(task.nextInstanceId) ? task.nextInstanceId : null
+        }));
+        const tx = this.db.transaction(['metadata'], 'readonly');
+        const store = tx.objectStore('metadata');
+
+        return new Promise((resolve, reject) => {
+            const request = store.get('nextId');
+
+            request.onsuccess = () => {
+                const nextId = request.result ? request.result.value : 1;
+                resolve({
+                    formatVersion: this.backupFormat.currentVersion,
+                    tasks,
+                    nextId,
+                    exportDate: new Date().toISOString()
+                });
+            };
+
+            request.onerror = () => reject(new Error('Failed to export data'));
+        });
+    }
+
+    /**
+     * Export all tasks as Taskwarrior JSON (for `task import`)
+     */
+    async exportTaskwarrior() {
+        const data = await this.exportData();
+        return this.taskwarrior.fromTasks(data.tasks);
+    }
+
+    /**
+     * Convert `task export` output into a validated backup, ready for planMerge
+     */
+    readTaskwarrior(text) {
+        const records = this.taskwarrior.parse(text);
+        return this.readBackup(this.taskwarrior.toBackup(records, this.backupFormat.currentVersion));
+    }
+
+    /**
+     * Export all tasks as todo.txt text
+     */
+    async exportTodoTxt() {
+        const data = await this.exportData();
+        return this.todoTxt.fromTasks(data.tasks);
+    }
+
+    /**
+     * Convert todo.txt text into a validated backup, ready for planMerge
+     */
+    readTodoTxt(text) {
+        return this.readBackup(this.todoTxt.toBackup(text, this.backupFormat.currentVersion));
+    }
+
+    /**
+     * Upgrade a parsed backup to the current format and validate it
+     * Throws an Error with a `problems` list (see BackupFormat) when the backup is invalid.
+     */
+    readBackup(data) {
+        return this.backupFormat.read(data);
+    }
+
+    /**
+     * Import a backup from readBackup (replaces all existing tasks)
+     * A snapshot of the replaced data is recorded so the import can be undone.
+     */
+    async importData(data) {
+        const previous = {
+            tasks: await this.getAllTasks(true),
+            nextId: await this.getMetadata('nextId', 1),
+            changelog: await this.getAllChangelog()
+        };
+
+        // Imported tasks may reuse IDs, so the old tasks' history goes with them
+        const imported = {
+            tasks: data.tasks.map(task => ({
+                ...task,
+                tags: this.normalizeTags(task.tags)
+            })),
+            nextId: data.nextId,
+            changelog: []
+        };
+
+        await this.replaceAllData(imported);
+
+        await this.recordAction({
+            type: 'import',
+            previous,
+            imported,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Work out how a backup would merge into the current tasks without replacing them
+     * Incoming tasks get new IDs from nextId up, with parent, child, dependency and
+     * next-instance references rewritten. A task with the same name, project and due day as
+     * an existing one is a likely duplicate: identical ones are skipped, ones that differ in
+     * other fields are conflicts and are only added (as copies) when includeConflicts is set.
+     * References to a task that isn't added point at the existing task it matched.
+     * data is a backup from readBackup.
+     * Returns { added, skipped, conflicts, detached, updated, nextId, previousNextId }; detached lists
+     * { task, parentId } for tasks added without their parent because they would be nested more than
+     * 3 levels deep, and updated lists the existing parents that gain subtasks as { id, childTaskIds }
+     * (the added child IDs only).
+     */
+    async planMerge(data, options = {}) {
+        const { includeConflicts = false } = options;
+        const existing = await this.getAllTasks();
+        const previousNextId = await this.getMetadata('nextId', 1);
+
+        // Existing tasks by identity (name + project + due day)
+        const identity = task => [
+            String(task.name || '').trim().toLowerCase(),
+            String(task.project || '').toLowerCase(),
+            task.dueDate ? this.startOfDay(task.dueDate) : ''
+        ].join('|');
+        const existingByIdentity = new Map();
+        existing.forEach(task => {
+            if (!existingByIdentity.has(identity(task))) {
+                existingByIdentity.set(identity(task), task);
+            }
+        });
+
+        const incoming = [...data.tasks].sort((a, b) => a.id - b.id);
+        const idMap = new Map();
+        const skipped = [];
+        const conflicts = [];
+        const toAdd = [];
+        let nextId = previousNextId;
+
+        incoming.forEach(task => {
+            const match = task.deleted ? null : existingByIdentity.get(identity(task));
+            if (match) {
+                const differences = this.diffStates(this.getMergeComparable(match), this.getMergeComparable(task))
+                    .map(change => change.field);
+                if (differences.length === 0) {
+                    skipped.push({ incoming: task, existing: match });
+                    idMap.set(task.id, match.id);
+                    return;
+                }
+                conflicts.push({ incoming: task, existing: match, differences });
+                if (!includeConflicts) {
+                    idMap.set(task.id, match.id);
+                    return;
+                }
+            }
+            idMap.set(task.id, nextId++);
+            toAdd.push(task);
+        });
+
+        const remap = id => (idMap.has(id) ? idMap.get(id) : null);
+        // A copy of a task that is already here (trashed ones included) needs a UUID of its own
+        const usedUuids = new Set((await this.getAllTasks(true)).map(task => task.uuid));
+        const added = toAdd.map(task => ({
+            ...task,
+            id: idMap.get(task.id),
+            uuid: usedUuids.has(task.uuid) ? this.generateUuid() : task.uuid,
+            tags: this.normalizeTags(task.tags),
+            parentTaskId: task.parentTaskId !== null ? remap(task.parentTaskId) : null,
+            // Children are rebuilt below from the parents that were actually written
+            childTaskIds: [],
+            dependsOn: task.dependsOn.map(remap).filter(id => id !== null),
+            nextInstanceId: task.nextInstanceId ? remap(task.nextInstanceId) : null
+        }));
+
+        const addedById = new Map(added.map(task => [task.id, task]));
+        const existingById = new Map(existing.map(task => [task.id, task]));
+        added.forEach(task => {
+            if (task.parentTaskId !== null && !addedById.has(task.parentTaskId) && !existingById.has(task.parentTaskId)) {
+                task.parentTaskId = null;
+            }
+        });
+
+        // Keep the 3-level limit: a task that would sit too deep (its parent matched an existing
+        // subtask) is added without its parent, keeping its own subtasks
+        const maxLevel = this.backupFormat.maxDepth - 1; // 0 = root
+        const levels = new Map();
+        const detached = [];
+        const levelOf = task => {
+            if (levels.has(task.id)) return levels.get(task.id);
+            let level = 0;
+            if (task.parentTaskId !== null) {
+                const parent = addedById.get(task.parentTaskId);
+                if (parent) {
+                    level = levelOf(parent) + 1;
+                } else {
+                    for (let t = existingById.get(task.parentTaskId); t; t = existingById.get(t.parentTaskId)) {
+                        level++;
+                    }
+                }
+                if (level > maxLevel) {
+                    detached.push({ task, parentId: task.parentTaskId });
+                    task.parentTaskId = null;
+                    level = 0;
+                }
+            }
+            levels.set(task.id, level);
+            return level;
+        };
+        added.forEach(levelOf);
+
+        // Link each added child to its parent; a parent that already exists gains the child on write
+        const newChildIds = new Map(); // Existing parent ID -> added child IDs
+        added.forEach(task => {
+            if (task.parentTaskId === null) return;
+
+            const parent = addedById.get(task.parentTaskId);
+            if (parent) {
+                if (!parent.childTaskIds.includes(task.id)) {
+                    parent.childTaskIds.push(task.id);
+                }
+            } else {
+                newChildIds.set(task.parentTaskId, [...(newChildIds.get(task.parentTaskId) || []), task.id]);
+            }
+        });
+
+        return {
+            added,
+            skipped,
+            conflicts,
+            detached,
+            updated: [...newChildIds].map(([id, childTaskIds]) => ({ id, childTaskIds })),
+            nextId: Math.max(nextId, previousNextId),
+            previousNextId
+        };
+    }
+
+    /**
+     * Fields compared when deciding whether a duplicate is identical or a conflict
+     */
+    getMergeComparable(task) {
+        return {
+            status: task.status,
+            priority: task.priority || null,
+            tags: this.normalizeTags(task.tags),
+            notes: (task.notes || []).map(note => note.content),
+            recur: task.recur || null,
+            estimate: task.estimate || null
+        };
+    }
+
+    /**
+     * Merge a backup from readBackup in a single transaction (undo removes the added tasks)
+     * The plan is worked out again here, so changes made while a preview was open count.
+     * Returns the plan that was written (see planMerge).
+     */
+    async commitMerge(data, options = {}) {
+        const plan = await this.planMerge(data, options);
+        const action = {
+            type: 'merge',
+            added: plan.added,
+            updated: plan.updated,
+            previousNextId: plan.previousNextId,
+            nextId: plan.nextId,
+            timestamp: new Date().toISOString()
+        };
+
+        await this.writeMerge(action, false);
+        await this.recordAction(action);
+        return plan;
+    }
+
+    /**
+     * Apply (or with revert, roll back) a merge in one transaction (no history)
+     * Existing parents only have the added child IDs put in or taken out, so other edits to them are kept.
+     */
+    async writeMerge({ added, updated, previousNextId, nextId }, revert) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([this.storeName, 'metadata'], 'readwrite');
+            const taskStore = tx.objectStore(this.storeName);
+            const metaStore = tx.objectStore('metadata');
+
+            if (revert) {
+                added.forEach(task => taskStore.delete(task.id));
+                metaStore.put({ key: 'nextId', value: previousNextId });
+            } else {
+                added.forEach(task => taskStore.put(task));
+                metaStore.put({ key: 'nextId', value: nextId });
+            }
+
+            updated.forEach(({ id, childTaskIds }) => {
+                const request = taskStore.get(id);
+                request.onsuccess = () => {
+                    const parent = request.result;
+                    if (revert) {
+                        if (parent) {
+                            parent.childTaskIds = parent.childTaskIds.filter(childId => !childTaskIds.includes(childId));
+                            taskStore.put(parent);
+                        }
+                    } else if (parent && !parent.deleted) {
+                        parent.childTaskIds = [...parent.childTaskIds, ...childTaskIds.filter(childId => !parent.childTaskIds.includes(childId))];
+                        taskStore.put(parent);
+                    } else {
+                        // The parent went away since planning: its new subtasks become standalone
+                        added.filter(task => childTaskIds.includes(task.id))
+                            .forEach(task => taskStore.put({ ...task, parentTaskId: null }));
+                    }
+                };
+            });
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(new Error('Failed to merge data: ' + tx.error));
+        });
+    }
+
+    /**
+     * Replace every task and nextId, and the changelog when given, in one transaction (no history)
+     */
+    async replaceAllData({ tasks, nextId, changelog }) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([this.storeName, 'metadata', 'changelog'], 'readwrite');
+            const taskStore = tx.objectStore(this.storeName);
+            const metaStore = tx.objectStore('metadata');
+
+            // Clear existing data
+            taskStore.clear();
+
+            // Import all tasks
+            for (const task of tasks) {
+                taskStore.put(task);
+            }
+
+            // Import nextId
+            metaStore.put({ key: 'nextId', value: nextId });
+
+            // Replace the changelog (imports from before it was recorded have none)
+            if (changelog) {
+                const changelogStore = tx.objectStore('changelog');
+                changelogStore.clear();
+                for (const entry of changelog) {
+                    changelogStore.put(entry);
+                }
+            }
+
+            // Transaction completed
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(new Error('Failed to import data: ' + tx.error));
+        });
+    }
+
+    /**
+     * Load the undo/redo journal from IndexedDB
+     * Undo entries are kept oldest first, redo entries most recently undone last.
+     */
+    async loadHistory() {
+        this.maxHistorySize = await this.getMetadata('historyDepth', this.maxHistorySize);
+
+        const tx = this.db.transaction(['history'], 'readonly');
+        const store = tx.objectStore('history');
+
+        const records = await new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('Failed to load undo history'));
+        });
+
+        const toAction = record => ({ ...record.action, journalId: record.id });
+        this.undoStack = records
+            .filter(r => r.stack === 'undo')
+            .sort((a, b) => a.id - b.id)
+            .map(toAction);
+        this.redoStack = records
+            .filter(r => r.stack === 'redo')
+            .sort((a, b) => b.id - a.id)
+            .map(toAction);
+    }
+
+    /**
+     * Write an action to the journal on the given stack ('undo' or 'redo')
+     * Keeps the action's journalId so moving between stacks preserves its order.
+     */
+    async saveHistoryEntry(action, stack) {
+        const { journalId, ...data } = action;
+        const record = { stack, action: data };
+        if (journalId !== undefined) {
+            record.id = journalId;
+        }
+
+        const tx = this.db.transaction(['history'], 'readwrite');
+        const store = tx.objectStore('history');
+
+        return new Promise((resolve, reject) => {
+            const request = store.put(record);
+            request.onsuccess = () => {
+                action.journalId = request.result;
+                resolve(request.result);
+            };
+            request.onerror = () => reject(new Error('Failed to save undo history'));
+        });
+    }
+
+    /**
+     * Remove actions from the journal
+     */
+    async deleteHistoryEntries(actions) {
+        const ids = actions.map(a => a.journalId).filter(id => id !== undefined);
+        if (ids.length === 0) return;
+
+        const tx = this.db.transaction(['history'], 'readwrite');
+        const store = tx.objectStore('history');
+
+        return new Promise((resolve, reject) => {
+            ids.forEach(id => store.delete(id));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(new Error('Failed to update undo history'));
+        });
+    }
+
+    /**
+     * Set how many actions can be undone (persisted)
+     */
+    async setHistoryDepth(depth) {
+        if (!Number.isInteger(depth) || depth < 1 || depth > 1000) {
+            throw new Error('History depth must be a whole number between 1 and 1000');
+        }
+
+        this.maxHistorySize = depth;
+        await this.setMetadata('historyDepth', depth);
+        await this.trimHistory();
+        return depth;
+    }
+
+    /**
+     * Drop the oldest undo entries beyond the configured depth
+     */
+    async trimHistory() {
+        if (this.undoStack.length <= this.maxHistorySize) return;
+
+        const dropped = this.undoStack.splice(0, this.undoStack.length - this.maxHistorySize);
+        await this.deleteHistoryEntries(dropped);
+    }
+
+    /**
+     * Forget all undo/redo history
+     */
+    async clearHistory() {
+        await this.deleteHistoryEntries([...this.undoStack, ...this.redoStack]);
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Recent actions for display: { undo: newest first, redo: next to redo first }
+     */
+    getHistory() {
+        return {
+            undo: [...this.undoStack].reverse(),
+            redo: [...this.redoStack].reverse()
+        };
+    }
+
+    /**
+     * Record an action for undo/redo
+     */
+    async recordAction(action) {
+        // Inside recordBatch, collect the action into the batch instead
+        if (this.pendingBatch) {
+            this.pendingBatch.push(action);
+            return;
+        }
+
+        this.undoStack.push(action);
+        await this.saveHistoryEntry(action, 'undo');
+
+        // Limit stack size
+        await this.trimHistory();
+
+        // Clear redo stack when new action is performed
+        const discarded = this.redoStack;
+        this.redoStack = [];
+        await this.deleteHistoryEntries(discarded);
+    }
+
+    /**
+     * Run an operation and record every action it performs as one undoable batch
+     */
+    async recordBatch(label, operation, details = {}) {
+        if (this.pendingBatch) {
+            // Already batching - join the outer batch
+            return await operation();
+        }
+
+        this.pendingBatch = [];
+        let actions;
+        try {
+            return await operation();
+        } finally {
+            actions = this.pendingBatch;
+            this.pendingBatch = null;
+            if (actions.length === 1) {
+                await this.recordAction(actions[0]);
+            } else if (actions.length > 1) {
+                await this.recordAction({
+                    type: 'batch',
+                    label,
+                    ...details,
+                    actions,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+    }
+
+    /**
+     * Undo the last action
+     */
+    async undo() {
+        if (this.undoStack.length === 0) {
+            throw new Error('Nothing to undo');
+        }
+
+        const action = this.undoStack.pop();
+
+        try {
+            await this.undoAction(action);
+
+            // Move to redo stack
+            this.redoStack.push(action);
+            await this.saveHistoryEntry(action, 'redo');
+
+            return action;
+        } catch (error) {
+            // Put action back if undo failed
+            this.undoStack.push(action);
+            throw error;
+        }
+    }
+
+    /**
+     * Undo up to `count` actions, newest first
+     * Returns the undone actions (stops early when history runs out)
+     */
+    async undoSteps(count = 1) {
+        if (this.undoStack.length === 0) {
+            throw new Error('Nothing to undo');
+        }
+
+        const undone = [];
+        while (undone.length < count && this.undoStack.length > 0) {
+            undone.push(await this.undo());
+        }
+        return undone;
+    }
+
+    /**
+     * Redo up to `count` undone actions
+     */
+    async redoSteps(count = 1) {
+        if (this.redoStack.length === 0) {
+            throw new Error('Nothing to redo');
+        }
+
+        const redone = [];
+        while (redone.length < count && this.redoStack.length > 0) {
+            redone.push(await this.redo());
+        }
+        return redone;
+    }
+
+    /**
+     * Redo the last undone action
+     */
+    async redo() {
+        if (this.redoStack.length === 0) {
+            throw new Error('Nothing to redo');
+        }
+
+        const action = this.redoStack.pop();
+
+        try {
+            await this.redoAction(action);
 
             // Move back to undo stack
             this.undoStack.push(action);
+            await this.saveHistoryEntry(action, 'undo');
 
             return action;
         } catch (error) {
@@ -1133,6 +3165,198 @@ class TaskManager {
         }
     }
 
+    /**
+     * Reverse a single recorded action
+     */
+    async undoAction(action) {
+        switch (action.type) {
+            case 'delete':
+                // Restore all deleted tasks (in reverse order: grandchildren first, then parents, then grandparent)
+                // This ensures parent relationships are properly restored
+                const tasksToRestore = action.deletedTaskIds || [action.taskId];
+                // Reverse so we restore deepest descendants first
+                for (let i = tasksToRestore.length - 1; i >= 0; i--) {
+                    if (await this.restoreTaskWithoutHistory(tasksToRestore[i])) {
+                        await this.logChange(tasksToRestore[i], 'restored', { source: 'undo' });
+                    }
+                }
+                // Re-attach dependents that were unlinked by the delete
+                await this.relinkDependents(action.unlinkedDependencies);
+                break;
+
+            case 'modify':
+                // Restore previous state
+                await this.applyStateWithLog(action.taskId, action.previousState, 'undo');
+                // Remove the recurrence instance spawned by the completion
+                if (action.spawnedTaskId) {
+                    await this.deleteTaskWithoutHistory(action.spawnedTaskId);
+                }
+                break;
+
+            case 'create':
+                // Delete the created task
+                const task = await this.getTaskById(action.taskId);
+                if (task) {
+                    // Remove from parent's childTaskIds if it has a parent
+                    if (task.parentTaskId !== null) {
+                        const parent = await this.getTaskById(task.parentTaskId);
+                        if (parent) {
+                            parent.childTaskIds = parent.childTaskIds.filter(id => id !== action.taskId);
+                            await this.saveTask(parent);
+                        }
+                    }
+                    task.deleted = true;
+                    task.deletedAt = new Date().toISOString();
+                    await this.saveTask(task);
+                    await this.logChange(task.id, 'deleted', { source: 'undo' });
+                }
+                break;
+
+            case 'restore':
+                // Re-delete the task
+                const restoredTask = await this.getTaskById(action.taskId);
+                if (restoredTask) {
+                    // Remove from parent's childTaskIds if it has a parent
+                    if (restoredTask.parentTaskId !== null) {
+                        const parent = await this.getTaskById(restoredTask.parentTaskId);
+                        if (parent) {
+                            parent.childTaskIds = parent.childTaskIds.filter(id => id !== action.taskId);
+                            await this.saveTask(parent);
+                        }
+                    }
+                    restoredTask.deleted = true;
+                    restoredTask.deletedAt = new Date().toISOString();
+                    await this.saveTask(restoredTask);
+                    await this.logChange(restoredTask.id, 'deleted', { source: 'undo' });
+                }
+                break;
+
+            case 'note': {
+                // Remove the added note
+                const noteTask = await this.getTaskById(action.taskId);
+                if (noteTask) {
+                    const index = noteTask.notes.findIndex(n =>
+                        n.timestamp === action.note.timestamp && n.content === action.note.content);
+                    if (index !== -1) {
+                        noteTask.notes.splice(index, 1);
+                        await this.saveTask(noteTask);
+                        await this.logChange(noteTask.id, 'note', { note: action.note.content, removed: true, source: 'undo' });
+                    }
+                }
+                break;
+            }
+
+            case 'import':
+                // Put back everything the import replaced
+                await this.replaceAllData(action.previous);
+                break;
+
+            case 'merge':
+                await this.writeMerge(action, true);
+                break;
+
+            case 'purge':
+                // Put the purged records back in the trash
+                for (const task of action.tasks) {
+                    await this.saveTask(task);
+                }
+                await this.relinkDependents(action.unlinkedDependencies);
+                break;
+
+            case 'batch':
+                // Undo each step, most recent first
+                for (let i = action.actions.length - 1; i >= 0; i--) {
+                    await this.undoAction(action.actions[i]);
+                }
+                break;
+
+            default:
+                throw new Error(`Unknown action type: ${action.type}`);
+        }
+    }
+
+    /**
+     * Re-apply a single recorded action
+     */
+    async redoAction(action) {
+        switch (action.type) {
+            case 'delete':
+                // Re-delete all tasks that were deleted in original action
+                const tasksToDelete = action.deletedTaskIds || [action.taskId];
+                for (const delTaskId of tasksToDelete) {
+                    if (await this.deleteTaskWithoutHistory(delTaskId)) {
+                        await this.logChange(delTaskId, 'deleted', { source: 'redo' });
+                    }
+                }
+                await this.unlinkDependents(tasksToDelete);
+                break;
+
+            case 'modify':
+                // Re-apply the new state
+                await this.applyStateWithLog(action.taskId, action.newState, 'redo');
+                if (action.spawnedTaskId) {
+                    await this.restoreTaskWithoutHistory(action.spawnedTaskId);
+                }
+                break;
+
+            case 'create':
+            case 'restore':
+                // Bring the created/restored task back out of the trash
+                if (await this.restoreTaskWithoutHistory(action.taskId)) {
+                    await this.logChange(action.taskId, 'restored', { source: 'redo' });
+                }
+                break;
+
+            case 'note': {
+                const noteTask = await this.getTaskById(action.taskId);
+                const alreadyThere = noteTask && noteTask.notes.some(n =>
+                    n.timestamp === action.note.timestamp && n.content === action.note.content);
+                if (noteTask && !alreadyThere) {
+                    noteTask.notes.push(action.note);
+                    await this.saveTask(noteTask);
+                    await this.logChange(noteTask.id, 'note', { note: action.note.content, source: 'redo' });
+                }
+                break;
+            }
+
+            case 'import':
+                await this.replaceAllData(action.imported);
+                break;
+
+            case 'merge':
+                await this.writeMerge(action, false);
+                break;
+
+            case 'purge':
+                for (const task of action.tasks) {
+                    await this.unlinkDependents([task.id]);
+                    await this.deleteTaskById(task.id);
+                }
+                break;
+
+            case 'batch':
+                for (const step of action.actions) {
+                    await this.redoAction(step);
+                }
+                break;
+
+            default:
+                throw new Error(`Unknown action type: ${action.type}`);
+        }
+    }
+
+    /**
+     * Apply a saved undo state and log the resulting field changes
+     */
+    async applyStateWithLog(taskId, state, source) {
+        const task = await this.getTaskById(taskId);
+        const before = task ? this.getUndoState(task) : null;
+        await this.updateTaskWithoutHistory(taskId, state);
+        if (before) {
+            await this.logStateChange(taskId, before, state, source);
+        }
+    }
+
     /**
      * Update task without recording to history (for undo/redo operations)
      */
@@ -1163,6 +3387,8 @@ class TaskManager {
             }
         }
 
+        const previousStatus = task.status;
+
         // Apply updates
         Object.keys(updates).forEach(key => {
             if (key !== 'id' && key !== 'childTaskIds') {
@@ -1171,11 +3397,17 @@ class TaskManager {
         });
 
         await this.saveTask(task);
+
+        if (task.status !== previousStatus) {
+            await this.updateDependents(task.id);
+        }
+
         return task;
     }
 
     /**
      * Delete a task without recording to history (for redo operations)
+     * Returns the task, or null when it is gone or was already deleted
      */
     async deleteTaskWithoutHistory(taskId) {
         const task = await this.getTaskById(taskId);
@@ -1184,7 +3416,7 @@ class TaskManager {
         }
 
         if (task.deleted) {
-            return task; // Already deleted, skip
+            return null; // Already deleted, nothing changed
         }
 
         // Remove from parent's childTaskIds if applicable
@@ -1196,7 +3428,10 @@ class TaskManager {
             }
         }
 
-        // Soft delete the task
+        // Soft delete the task (stopping its timer)
+        if (this.isTimerRunning(task)) {
+            task.timeLog = this.closeTimeLog(task.timeLog);
+        }
         task.deleted = true;
         task.deletedAt = new Date().toISOString();
         await this.saveTask(task);
@@ -0,0 +1,324 @@
+/**
+ * TaskwarriorFormat - Converts between Taskwarrior JSON and Silverlake tasks
+ *
+ * Import reads the output of `task export` (a JSON array, or one JSON object per line) and
+ * produces a Silverlake backup for the usual validation and merge. Export produces a JSON
+ * array that `task import` accepts. UUIDs are kept both ways, so exporting again updates the
+ * same Taskwarrior tasks instead of duplicating them.
+ *
+ * Taskwarrior has no subtasks; the hierarchy travels in the `parenttask` UDA (the parent's
+ * UUID). Taskwarrior's own `parent` attribute links recurring instances to their template.
+ */
+
+class TaskwarriorFormat {
+    /**
+     * @param {Object} options
+     * @param {Function} options.parseRecurrence - rule => canonical Silverlake rule; throws on an invalid rule
+     * @param {Function} options.generateUuid - () => new UUID for tasks that lack one
+     */
+    constructor(options = {}) {
+        this.parseRecurrence = options.parseRecurrence;
+        this.generateUuid = options.generateUuid;
+
+        this.parentAttribute = 'parenttask';
+
+        this.priorityFromTaskwarrior = { H: 'High', M: 'Medium', L: 'Low' };
+        this.priorityToTaskwarrior = { Critical: 'H', High: 'H', Medium: 'M', Low: 'L' };
+
+        // Taskwarrior recurrence names Silverlake's parser doesn't know
+        this.recurrenceAliases = {
+            biweekly: 'every 2w',
+            fortnight: 'every 2w',
+            bimonthly: 'every 2m',
+            quarterly: 'every 3m',
+            semiannual: 'every 6m',
+            biannual: 'every 2y',
+            biyearly: 'every 2y'
+        };
+    }
+
+    /**
+     * Parse `task export` output into a list of Taskwarrior task objects
+     */
+    parse(text) {
+        const trimmed = text.trim();
+        if (trimmed === '') {
+            throw new Error('The file is empty');
+        }
+
+        let records;
+        if (trimmed.startsWith('[')) {
+            try {
+                records = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error(`Not valid Taskwarrior JSON (${error.message})`);
+            }
+        } else {
+            // Older exports (or rc.json.array=off): one object per line
+            records = trimmed.split(/\r?\n/).filter(line => line.trim() !== '').map((line, index) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Line ${index + 1} is not valid Taskwarrior JSON (${error.message})`);
+                }
+            });
+        }
+
+        if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+            throw new Error('Expected a list of Taskwarrior tasks');
+        }
+        return records;
+    }
+
+    /**
+     * Convert Taskwarrior tasks into a current-format Silverlake backup
+     * Deleted tasks are left out. A recurring template is replaced by its earliest pending
+     * instance, which carries the recurrence; without pending instances the template itself
+     * is imported. Links to tasks that aren't imported are dropped.
+     */
+    toBackup(records, formatVersion) {
+        const templates = new Map(records.filter(r => r.status === 'recurring').map(r => [r.uuid, r]));
+
+        // Earliest pending instance of each template
+        const firstInstance = new Map();
+        records.forEach(record => {
+            if (!templates.has(record.parent) || !['pending', 'waiting'].includes(record.status)) return;
+            const current = firstInstance.get(record.parent);
+            if (!current || this.parseDate(record.due) < this.parseDate(current.due)) {
+                firstInstance.set(record.parent, record);
+            }
+        });
+
+        const imported = records.filter(record => {
+            if (record.status === 'deleted') return false;
+            if (record.status === 'recurring') return !firstInstance.has(record.uuid);
+            return true;
+        });
+
+        const idByUuid = new Map();
+        imported.forEach((record, index) => {
+            if (record.uuid) idByUuid.set(String(record.uuid).toLowerCase(), index + 1);
+        });
+        firstInstance.forEach((record, templateUuid) => {
+            idByUuid.set(String(templateUuid).toLowerCase(), idByUuid.get(String(record.uuid).toLowerCase()));
+        });
+        const idFor = uuid => (uuid ? idByUuid.get(String(uuid).toLowerCase()) || null : null);
+        const isOpen = record => record && !['completed', 'deleted'].includes(record.status);
+        const recordByUuid = new Map(records.map(record => [String(record.uuid).toLowerCase(), record]));
+
+        const tasks = imported.map((record, index) => {
+            const notes = (Array.isArray(record.annotations) ? record.annotations : []).map(annotation => ({
+                timestamp: this.parseDate(annotation.entry) || this.parseDate(record.entry) || new Date().toISOString(),
+                content: String(annotation.description || '')
+            }));
+
+            // Recurrence: a template's own rule, or the template's rule on its first instance
+            let recurSource = null;
+            if (record.status === 'recurring') {
+                recurSource = record;
+            } else if (templates.has(record.parent) && firstInstance.get(record.parent) === record) {
+                recurSource = templates.get(record.parent);
+            }
+            let recur = null;
+            if (recurSource && recurSource.recur) {
+                recur = this.recurrenceFromTaskwarrior(recurSource.recur);
+                if (!recur) {
+                    notes.push({
+                        timestamp: new Date().toISOString(),
+                        content: `Taskwarrior recurrence "${recurSource.recur}" has no Silverlake equivalent and was not imported`
+                    });
+                }
+            }
+
+            const dependsOn = this.parseDepends(record.depends).map(idFor).filter(id => id !== null);
+
+            let status = 'Not Started';
+            if (record.status === 'completed') {
+                status = 'Completed';
+            } else if (this.parseDepends(record.depends).some(uuid => isOpen(recordByUuid.get(String(uuid).toLowerCase())))) {
+                status = 'Blocked';
+            } else if (record.start) {
+                status = 'In Progress';
+            }
+
+            return {
+                id: index + 1,
+                name: typeof record.description === 'string' ? record.description.trim() : '',
+                dueDate: this.parseDate(record.due),
+                status,
+                project: record.project ? String(record.project) : null,
+                priority: this.priorityFromTaskwarrior[record.priority] || 'Medium',
+                tags: (Array.isArray(record.tags) ? record.tags : [])
+                    .filter(tag => typeof tag === 'string' && /^[^\s,"']+$/.test(tag)),
+                notes,
+                parentTaskId: idFor(record[this.parentAttribute]),
+                childTaskIds: [],
+                dependsOn,
+                recur,
+                scheduled: this.parseDate(record.scheduled),
+                wait: this.parseDate(record.wait),
+                until: recurSource ? this.parseDate(recurSource.until) : this.parseDate(record.until),
+                createdAt: this.parseDate(record.entry),
+                timeLog: [],
+                estimate: null,
+                // The task carrying a recurrence takes the template's UUID, so exporting it again updates the template
+                uuid: (recurSource || record).uuid ? String((recurSource || record).uuid).toLowerCase() : this.generateUuid(),
+                nextInstanceId: null,
+                deleted: false,
+                deletedAt: null
+            };
+        });
+
+        // Children from the parent links
+        const byId = new Map(tasks.map(task => [task.id, task]));
+        tasks.forEach(task => {
+            if (task.parentTaskId === task.id) {
+                task.parentTaskId = null;
+            }
+            if (task.parentTaskId !== null) {
+                byId.get(task.parentTaskId).childTaskIds.push(task.id);
+            }
+        });
+
+        return {
+            formatVersion,
+            tasks,
+            nextId: tasks.length + 1,
+            exportDate: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Convert Silverlake tasks into Taskwarrior tasks for `task import`
+     * Recurring open tasks with a due date become recurring templates, so Taskwarrior
+     * generates the instances itself.
+     */
+    fromTasks(tasks, now = new Date()) {
+        const uuidById = new Map(tasks.map(task => [task.id, task.uuid]));
+
+        return tasks.map(task => {
+            const record = {
+                uuid: task.uuid,
+                description: task.name,
+                status: task.status === 'Completed' ? 'completed' : 'pending',
+                entry: this.formatDate(task.createdAt || now),
+                modified: this.formatDate(now)
+            };
+
+            if (task.project) record.project = task.project;
+            record.priority = this.priorityToTaskwarrior[task.priority] || 'M';
+            if (task.tags.length > 0) record.tags = [...task.tags];
+
+            ['due', 'scheduled', 'wait', 'until'].forEach(field => {
+                const value = task[field === 'due' ? 'dueDate' : field];
+                if (value) record[field] = this.formatDate(value);
+            });
+
+            const depends = task.dependsOn.map(id => uuidById.get(id)).filter(Boolean);
+            if (depends.length > 0) record.depends = depends;
+
+            if (task.parentTaskId !== null && uuidById.has(task.parentTaskId)) {
+                record[this.parentAttribute] = uuidById.get(task.parentTaskId);
+            }
+
+            if (task.notes.length > 0) {
+                record.annotations = task.notes.map(note => ({
+                    entry: this.formatDate(note.timestamp),
+                    description: note.content
+                }));
+            }
+
+            if (task.status === 'Completed') {
+                const ends = task.timeLog.filter(entry => entry.end).map(entry => entry.end).sort();
+                record.end = this.formatDate(ends.length > 0 ? ends[ends.length - 1] : now);
+            } else if (task.status === 'In Progress') {
+                const running = task.timeLog.find(entry => entry.end === null);
+                record.start = this.formatDate(running ? running.start : now);
+            }
+
+            const recur = task.recur && task.status !== 'Completed' && task.dueDate
+                ? this.recurrenceToTaskwarrior(task.recur)
+                : null;
+            if (recur) {
+                record.status = 'recurring';
+                record.recur = recur;
+                delete record.start;
+            }
+
+            return record;
+        });
+    }
+
+    /**
+     * Map a Taskwarrior recurrence (weekly, 2w, 3mo, P1M, quarterly ...) to a Silverlake rule, or null
+     */
+    recurrenceFromTaskwarrior(value) {
+        const text = String(value).trim().toLowerCase();
+        if (this.recurrenceAliases[text]) {
+            return this.recurrenceAliases[text];
+        }
+
+        const iso = text.match(/^p(\d+)([dwmy])$/);
+        const duration = text.match(/^(\d*)\s*(d|days?|w|wks?|weeks?|mo|mos|mths?|months?|q|qtrs?|quarters?|y|yrs?|years?)$/);
+        let rule = text;
+        if (iso) {
+            rule = `every ${iso[1]}${iso[2]}`;
+        } else if (duration) {
+            const amount = duration[1] === '' ? 1 : parseInt(duration[1]);
+            const unit = duration[2];
+            if (unit.startsWith('q')) {
+                rule = `every ${amount * 3}m`;
+            } else {
+                rule = `every ${amount}${unit.startsWith('mo') || unit.startsWith('mth') ? 'm' : unit[0]}`;
+            }
+        }
+
+        try {
+            return this.parseRecurrence(rule);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Map a Silverlake rule to a Taskwarrior recurrence, or null when Taskwarrior has none
+     */
+    recurrenceToTaskwarrior(rule) {
+        if (['daily', 'weekly', 'monthly', 'yearly', 'weekdays'].includes(rule)) {
+            return rule;
+        }
+        const every = rule.match(/^every (\d+)([dwmy])$/);
+        if (every) {
+            return `${every[1]}${every[2] === 'm' ? 'mo' : every[2]}`;
+        }
+        return null; // last-day-of-month
+    }
+
+    /**
+     * Taskwarrior's depends is a list of UUIDs, or a comma-separated string in older versions
+     */
+    parseDepends(depends) {
+        if (Array.isArray(depends)) return depends.filter(Boolean);
+        if (typeof depends === 'string') return depends.split(',').map(uuid => uuid.trim()).filter(Boolean);
+        return [];
+    }
+
+    /**
+     * Taskwarrior date (20261019T143000Z, or ISO) -> ISO string; null when missing or invalid
+     */
+    parseDate(value) {
+        if (!value) return null;
+        const compact = String(value).match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+        const date = compact
+            ? new Date(Date.UTC(+compact[1], compact[2] - 1, +compact[3], +compact[4], +compact[5], +compact[6]))
+            : new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * ISO string or Date -> Taskwarrior date (20261019T143000Z)
+     */
+    formatDate(value) {
+        return new Date(value).toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/[-:]/g, '');
+    }
+}
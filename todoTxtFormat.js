@@ -0,0 +1,219 @@
+/**
+ * TodoTxtFormat - Converts between todo.txt and Silverlake tasks
+ *
+ * One task per line:
+ *   x 2026-10-19 2026-10-01 Call the plumber +Home @phone due:2026-10-20 id:4 parent:2
+ *   (A) 2026-10-01 Renew passport +Admin due:2026-11-30
+ *
+ * Priorities (A)-(D) are Critical, High, Medium, Low ((E) and below are Low, none is Medium).
+ * The last +project is the project and @contexts are tags. todo.txt has no subtasks, so the
+ * hierarchy travels in `id:` (on parents) and `parent:` keys. Anything else, including
+ * key:values Silverlake doesn't know, stays in the task name.
+ */
+
+class TodoTxtFormat {
+    /**
+     * @param {Object} options
+     * @param {Function} options.parseDate - text => Date in the configured timezone; throws on invalid input
+     * @param {Function} options.formatDay - date => "YYYY-MM-DD" in the configured timezone
+     * @param {Function} options.generateUuid - () => new task UUID
+     */
+    constructor(options = {}) {
+        this.parseDate = options.parseDate;
+        this.formatDay = options.formatDay;
+        this.generateUuid = options.generateUuid;
+
+        this.priorityFromLetter = { A: 'Critical', B: 'High', C: 'Medium', D: 'Low' };
+        this.letterFromPriority = { Critical: 'A', High: 'B', Medium: 'C', Low: 'D' };
+    }
+
+    /**
+     * Convert todo.txt text into a current-format Silverlake backup
+     * Blank lines are skipped; tasks are numbered in line order.
+     */
+    toBackup(text, formatVersion) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        const parsed = lines.map(line => this.parseLine(line));
+
+        // id: keys -> task IDs, for parent: links
+        const idByKey = new Map();
+        parsed.forEach((entry, index) => {
+            if (entry.key !== null && !idByKey.has(entry.key)) {
+                idByKey.set(entry.key, index + 1);
+            }
+        });
+
+        const tasks = parsed.map((entry, index) => {
+            const id = index + 1;
+            let parentTaskId = null;
+            if (entry.parentKey !== null) {
+                parentTaskId = idByKey.get(entry.parentKey) || null;
+                if (parentTaskId === null || parentTaskId === id) {
+                    // Unknown parent: keep the key in the name rather than lose it
+                    entry.words.push(`parent:${entry.parentKey}`);
+                    parentTaskId = null;
+                }
+            }
+
+            return {
+                id,
+                name: entry.words.join(' '),
+                dueDate: entry.dueDate,
+                status: entry.completed ? 'Completed' : 'Not Started',
+                project: entry.project,
+                priority: entry.priority,
+                tags: entry.tags,
+                notes: [],
+                parentTaskId,
+                childTaskIds: [],
+                dependsOn: [],
+                recur: null,
+                scheduled: null,
+                wait: null,
+                until: null,
+                createdAt: entry.createdAt,
+                timeLog: [],
+                estimate: null,
+                uuid: this.generateUuid(),
+                nextInstanceId: null,
+                deleted: false,
+                deletedAt: null
+            };
+        });
+
+        const byId = new Map(tasks.map(task => [task.id, task]));
+        tasks.forEach(task => {
+            if (task.parentTaskId !== null) {
+                byId.get(task.parentTaskId).childTaskIds.push(task.id);
+            }
+        });
+
+        return {
+            formatVersion,
+            tasks,
+            nextId: tasks.length + 1,
+            exportDate: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Split one todo.txt line into its parts
+     * Returns { completed, priority, createdAt, project, tags, dueDate, key, parentKey, words }
+     */
+    parseLine(line) {
+        const tokens = line.trim().split(/\s+/);
+        const isDay = token => /^\d{4}-\d{2}-\d{2}$/.test(token || '');
+        const entry = {
+            completed: false,
+            priority: 'Medium',
+            createdAt: null,
+            project: null,
+            tags: [],
+            dueDate: null,
+            key: null,
+            parentKey: null,
+            words: []
+        };
+
+        // Leading markers: "x [completion date]" or "(A)", then an optional creation date
+        if (tokens[0] === 'x') {
+            entry.completed = true;
+            tokens.shift();
+            if (isDay(tokens[0])) {
+                tokens.shift(); // Completion date (Silverlake doesn't store one)
+            }
+        } else if (/^\([A-Z]\)$/.test(tokens[0])) {
+            entry.priority = this.priorityFromLetter[tokens.shift()[1]] || 'Low';
+        }
+        if (isDay(tokens[0])) {
+            entry.createdAt = this.parseDay(tokens.shift());
+        }
+
+        // Exports put the project after the name, so earlier +words stay part of the name
+        const projectIndex = tokens.map(token => token.length > 1 && token.startsWith('+')).lastIndexOf(true);
+        const plain = [];
+        tokens.forEach((token, index) => {
+            const keyValue = token.match(/^([A-Za-z]+):(\S+)$/);
+            const key = keyValue ? keyValue[1].toLowerCase() : null;
+
+            if (index === projectIndex) {
+                entry.project = token.slice(1);
+                plain.push(token);
+            } else if (token.length > 1 && token.startsWith('@')) {
+                const tag = token.slice(1);
+                if (/^[^\s,"']+$/.test(tag) && !entry.tags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+                    entry.tags.push(tag);
+                }
+                plain.push(token);
+            } else if (key === 'due' && entry.dueDate === null && this.parseDay(keyValue[2])) {
+                entry.dueDate = this.parseDay(keyValue[2]);
+                plain.push(token);
+            } else if (key === 'id' && entry.key === null) {
+                entry.key = keyValue[2];
+            } else if (key === 'parent' && entry.parentKey === null) {
+                entry.parentKey = keyValue[2];
+            } else if (key === 'pri' && /^[A-Z]$/.test(keyValue[2])) {
+                // Completed tasks keep their priority as pri:X
+                entry.priority = this.priorityFromLetter[keyValue[2]] || 'Low';
+            } else {
+                entry.words.push(token);
+                plain.push(token);
+            }
+        });
+
+        // A line of only +project/@context/due: has no name left; keep it all as the name instead
+        if (entry.words.length === 0) {
+            entry.words = plain;
+            entry.project = null;
+            entry.tags = [];
+            entry.dueDate = null;
+        }
+
+        return entry;
+    }
+
+    /**
+     * "YYYY-MM-DD" (or anything parseDate understands) -> ISO string; null when invalid
+     */
+    parseDay(text) {
+        try {
+            return this.parseDate(text).toISOString();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Convert Silverlake tasks into todo.txt text (one line per task, in ID order)
+     * Completed tasks need a completion date; the end of their last tracked interval is used,
+     * or today when they have none.
+     */
+    fromTasks(tasks, now = new Date()) {
+        const parentIds = new Set(tasks.filter(task => task.parentTaskId !== null).map(task => task.parentTaskId));
+        const ids = new Set(tasks.map(task => task.id));
+
+        return [...tasks].sort((a, b) => a.id - b.id).map(task => {
+            const parts = [];
+
+            if (task.status === 'Completed') {
+                const ends = task.timeLog.filter(entry => entry.end).map(entry => entry.end).sort();
+                parts.push('x', this.formatDay(ends.length > 0 ? ends[ends.length - 1] : now));
+            } else {
+                parts.push(`(${this.letterFromPriority[task.priority] || 'C'})`);
+            }
+            if (task.createdAt) {
+                parts.push(this.formatDay(task.createdAt));
+            }
+
+            parts.push(task.name.replace(/\s+/g, ' ').trim());
+            if (task.project) parts.push(`+${task.project.replace(/\s+/g, '_')}`);
+            task.tags.forEach(tag => parts.push(`@${tag}`));
+            if (task.dueDate) parts.push(`due:${this.formatDay(task.dueDate)}`);
+            if (parentIds.has(task.id)) parts.push(`id:${task.id}`);
+            if (task.parentTaskId !== null && ids.has(task.parentTaskId)) parts.push(`parent:${task.parentTaskId}`);
+            if (task.status === 'Completed') parts.push(`pri:${this.letterFromPriority[task.priority] || 'C'}`);
+
+            return parts.join(' ');
+        }).join('\n') + (tasks.length > 0 ? '\n' : '');
+    }
+}